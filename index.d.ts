@@ -5,7 +5,29 @@ export {
   VideoAreaSelectorOptions,
   VideoAreaSelectionData,
   VideoAreaSelectionCoordinates,
-  VideoAreaSelection
+  VideoAreaSelection,
+  VideoAreaPolygonSelection,
+  VideoAreaShape,
+  VideoAreaPoint,
+  VideoAreaEllipse,
+  VideoAreaKeyframe,
+  VideoAreaRegionOptions,
+  VideoAreaRegionInfo,
+  VideoAreaRegion,
+  VideoAreaAspectRatioValue,
+  VideoAreaAspectRatio,
+  VideoAreaSnappingOptions,
+  VideoAreaConstraints,
+  VideoAreaConstraintViolation,
+  VideoAreaConstraintViolationData,
+  VideoAreaFlip,
+  VideoAreaTransformOptions,
+  VideoAreaTransform,
+  VideoAreaEventMap,
+  VideoAreaSelectionStartEvent,
+  VideoAreaSelectionEndEvent,
+  VideoAreaClearEvent,
+  VideoAreaCaptureOptions
 } from './js/lib/video-area-selector.js';
 
 export default VideoAreaSelector;
@@ -2,6 +2,9 @@
  * Main application script for Video Area Selection Tool (ES Module version)
  */
 import { VideoAreaSelector } from './lib/video-area-selector.js';
+import { VideoAreaPreview } from './lib/video-area-preview.js';
+import { VideoAreaExporter } from './lib/video-area-exporter.js';
+import { VideoAreaAnalyzer } from './lib/video-area-analyzer.js';
 import ThemeHandler from './theme-handler.js';
 import TemplateManager from './templates.js';
 
@@ -10,17 +13,55 @@ const dropArea = document.getElementById('dropArea');
 const fileInput = document.getElementById('fileInput');
 const videoContainer = document.getElementById('videoContainer');
 const videoElement = document.getElementById('videoElement');
+const imageElement = document.getElementById('imageElement');
+const useCameraButton = document.getElementById('useCamera');
+const captureScreenButton = document.getElementById('captureScreen');
 const coordinatesDiv = document.getElementById('coordinates');
 
 // Mode toggle controls
 const playbackModeButton = document.getElementById('playbackMode');
 const selectionModeButton = document.getElementById('selectionMode');
 
+// Region controls
+const regionList = document.getElementById('regionList');
+const addRegionButton = document.getElementById('addRegion');
+const shapeSelect = document.getElementById('shape');
+const aspectRatioSelect = document.getElementById('aspectRatio');
+const snapToSelect = document.getElementById('snapTo');
+const snapToEdgesCheckbox = document.getElementById('snapToEdges');
+const detectCropButton = document.getElementById('detectCrop');
+const trackForwardButton = document.getElementById('trackForward');
+
+// Scene cut elements
+const sceneCutsPanel = document.getElementById('sceneCuts');
+const detectSceneCutsButton = document.getElementById('detectSceneCuts');
+const sceneTimeline = document.getElementById('sceneTimeline');
+const scenePlayhead = document.getElementById('scenePlayhead');
+const sceneCutList = document.getElementById('sceneCutList');
+
 // Display elements
 const originalPosition = document.getElementById('originalPosition');
 const originalWidth = document.getElementById('originalWidth');
 const originalHeight = document.getElementById('originalHeight');
 const videoResolution = document.getElementById('videoResolution');
+const cropPreviewCanvas = document.getElementById('cropPreview');
+const outputSizeSelect = document.getElementById('outputSize');
+
+// Snapshot elements
+const snapshotFormatSelect = document.getElementById('snapshotFormat');
+const saveSnapshotButton = document.getElementById('saveSnapshot');
+const copySnapshotButton = document.getElementById('copySnapshot');
+
+// Clip export elements
+const exportControls = document.getElementById('exportControls');
+const setInPointButton = document.getElementById('setInPoint');
+const setOutPointButton = document.getElementById('setOutPoint');
+const inPointDisplay = document.getElementById('inPoint');
+const outPointDisplay = document.getElementById('outPoint');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportClipButton = document.getElementById('exportClip');
+const cancelExportButton = document.getElementById('cancelExport');
+const exportProgress = document.getElementById('exportProgress');
 
 // Template system elements
 const templateNameInput = document.getElementById('templateName');
@@ -31,8 +72,21 @@ const templatesListDiv = document.getElementById('templatesList');
 
 // State variables
 let videoAreaSelector = null;
+let cropPreview = null;
+let clipExporter = null; // Set while a clip is being exported
+let videoAnalyzer = null;
+let runningAnalysis = null; // 'tracking' or 'sceneCuts' while the button can stop it
+let inPoint = null; // Clip range in seconds; null for the start and end of the video
+let outPoint = null;
+let currentMedia = null; // The video or image element the selector is attached to
+let chipsActiveRegionId = null; // Region shown as active by the region chips
+let isRestoringSession = false; // Set while the URL hash is applied, so it isn't rewritten halfway
+let hasLoadedMedia = false; // The URL hash is only restored for the first media after page load
 let isSelectionMode = false; // Default is playback mode
 
+// Border colors for regions added in the app, used in turn
+const regionColors = ['#ff5555', '#33aaff', '#44cc44', '#ffaa00', '#cc66ff'];
+
 // Initialize theme handler
 const themeHandler = new ThemeHandler({
     storageKey: 'video-select-area-theme',
@@ -48,44 +102,144 @@ const templateManager = new TemplateManager({
     templateContentInput: templateContentInput,
     saveButton: saveTemplateBtn,
     cancelButton: cancelEditBtn,
-    onTemplateApplied: (output) => {
-        // Template output available for further processing if needed
+    onTemplateApplied: (output, name) => {
+        // Share the template that was used along with the selection
+        updateSessionHash();
     }
 });
 
-// Load video when file is selected
+// Load video or image when file is selected
 function handleFileSelection(file) {
     if (file && file.type.startsWith('video/')) {
+        stopStream();
         const videoURL = URL.createObjectURL(file);
         videoElement.src = videoURL;
         
         videoElement.onloadedmetadata = function() {
-            // Show video container and coordinates section
-            videoContainer.style.display = 'block';
-            coordinatesDiv.style.display = 'block';
-            
-            // Display video resolution
-            videoResolution.textContent = `${videoElement.videoWidth} × ${videoElement.videoHeight}`;
-            
-            // Initialize the video area selector
-            if (videoAreaSelector) {
-                videoAreaSelector.destroy();
-            }
-            
-            videoAreaSelector = new VideoAreaSelector({
-                videoElement: videoElement,
-                onChange: updateCoordinates,
-                selectionColor: getComputedStyle(document.documentElement).getPropertyValue('--selection-color') || 'rgba(255, 0, 0, 0.2)',
-                selectionBorder: getComputedStyle(document.documentElement).getPropertyValue('--selection-border') || 'red',
-                enabled: isSelectionMode
-            });
+            showMedia(videoElement);
         };
         
         // Video loaded, hide drop area
         dropArea.style.display = 'none';
+    } else if (file && file.type.startsWith('image/')) {
+        stopStream();
+        videoElement.pause();
+        imageElement.src = URL.createObjectURL(file);
+        
+        imageElement.onload = function() {
+            showMedia(imageElement);
+        };
+        
+        // Image loaded, hide drop area
+        dropArea.style.display = 'none';
     } else {
-        alert('Please select a valid video file.');
+        alert('Please select a valid video or image file.');
+    }
+}
+
+// Play a camera or screen capture stream in the video element
+function handleStream(getStream) {
+    getStream().then(stream => {
+        stopStream();
+        videoElement.removeAttribute('src');
+        videoElement.srcObject = stream;
+        
+        videoElement.onloadedmetadata = function() {
+            showMedia(videoElement);
+            videoElement.play();
+        };
+        
+        // Stream started, hide drop area
+        dropArea.style.display = 'none';
+    }).catch(error => {
+        alert(`Could not start the capture: ${error.message}`);
+    });
+}
+
+// Stop the tracks of a running camera or screen capture
+function stopStream() {
+    if (videoElement.srcObject) {
+        videoElement.srcObject.getTracks().forEach(track => track.stop());
+        videoElement.srcObject = null;
+    }
+}
+
+// Show the loaded video or image and attach a new selector to it
+function showMedia(mediaElement) {
+    currentMedia = mediaElement;
+    videoElement.hidden = mediaElement !== videoElement;
+    imageElement.hidden = mediaElement !== imageElement;
+    
+    // Show video container and coordinates section
+    videoContainer.style.display = 'block';
+    coordinatesDiv.style.display = 'block';
+    
+    // A clip or analysis of the previous media can't be finished
+    if (clipExporter) {
+        clipExporter.cancel();
+    }
+    if (videoAnalyzer) {
+        videoAnalyzer.cancel();
+    }
+    setClipRange(null, null);
+    exportControls.hidden = !isSeekableVideo();
+    trackForwardButton.hidden = !isSeekableVideo();
+    sceneCutsPanel.hidden = !isSeekableVideo();
+    
+    // Initialize the video area selector
+    if (cropPreview) {
+        cropPreview.destroy();
     }
+    if (videoAreaSelector) {
+        videoAreaSelector.destroy();
+    }
+    
+    videoAreaSelector = new VideoAreaSelector({
+        videoElement: mediaElement,
+        onChange: updateCoordinates,
+        selectionColor: getComputedStyle(document.documentElement).getPropertyValue('--selection-color') || 'rgba(255, 0, 0, 0.2)',
+        selectionBorder: getComputedStyle(document.documentElement).getPropertyValue('--selection-border') || 'red',
+        enabled: isSelectionMode,
+        lockAspectRatio: aspectRatioSelect.value || null,
+        snapTo: Number(snapToSelect.value) || null,
+        snapToEdges: snapToEdgesCheckbox.checked,
+        shape: shapeSelect.value,
+        zoomable: true,
+        loupe: true
+    });
+    videoAreaSelector.on('clear', resetCoordinates);
+    videoAreaSelector.on('frameratechange', showResolution);
+    videoAreaSelector.on('selectionend', updateSessionHash);
+    videoAreaSelector.on('selectionend', renderRegions);
+    videoAreaSelector.on('clear', updateSessionHash);
+    renderRegions();
+    
+    videoAnalyzer = new VideoAreaAnalyzer({
+        selector: videoAreaSelector,
+        onSceneCut: renderSceneCuts
+    });
+    renderSceneCuts();
+    
+    // Draw the cropped area of every frame, as the final crop will look
+    cropPreview = new VideoAreaPreview({
+        selector: videoAreaSelector,
+        canvas: cropPreviewCanvas,
+        ...getOutputSize()
+    });
+    
+    // Display media resolution
+    showResolution();
+    
+    // Restore a shared selection and playhead once the dimensions are known. The hash
+    // describes the previous media when another one is opened, so it's rewritten instead.
+    const isFirstMedia = !hasLoadedMedia;
+    hasLoadedMedia = true;
+    videoAreaSelector.ready().then(isFirstMedia ? restoreSessionHash : updateSessionHash);
+}
+
+// Whether the selector is attached to a video file, which has a timeline to seek in
+function isSeekableVideo() {
+    return currentMedia === videoElement && !videoElement.srcObject;
 }
 
 // Event listeners for drag and drop
@@ -133,6 +287,17 @@ fileInput.addEventListener('change', function() {
     }
 });
 
+// Live sources; the buttons sit in the drop area, so keep their clicks from opening the file dialog
+useCameraButton.addEventListener('click', function(e) {
+    e.stopPropagation();
+    handleStream(() => navigator.mediaDevices.getUserMedia({ video: true }));
+});
+
+captureScreenButton.addEventListener('click', function(e) {
+    e.stopPropagation();
+    handleStream(() => navigator.mediaDevices.getDisplayMedia({ video: true }));
+});
+
 // Mode toggle functionality
 playbackModeButton.addEventListener('click', function() {
     if (!isSelectionMode) return; // Already in playback mode
@@ -164,15 +329,367 @@ selectionModeButton.addEventListener('click', function() {
     }
 });
 
+// Share the playhead once it settles; updating during playback would flood the history API
+videoElement.addEventListener('seeked', updateSessionHash);
+videoElement.addEventListener('pause', updateSessionHash);
+
+// Captured windows and rotated cameras change size while streaming
+videoElement.addEventListener('resize', function() {
+    if (currentMedia === videoElement) {
+        showResolution();
+    }
+});
+
+// Apply a link pasted into the address bar of an open session
+window.addEventListener('hashchange', function() {
+    if (videoAreaSelector) {
+        restoreSessionHash();
+    }
+});
+
+// Region controls
+addRegionButton.addEventListener('click', function() {
+    if (!videoAreaSelector) return;
+    
+    const border = regionColors[videoAreaSelector.getRegions().length % regionColors.length];
+    videoAreaSelector.addRegion({ border: border, shape: shapeSelect.value });
+    renderRegions();
+    
+    // Switch to selection mode so the new region can be drawn right away
+    selectionModeButton.click();
+});
+
+// Shape of the active region; new regions get the chosen shape too
+shapeSelect.addEventListener('change', function() {
+    if (!videoAreaSelector) return;
+    
+    const activeRegion = videoAreaSelector.getRegions().find(region => region.selected);
+    videoAreaSelector.updateRegion(activeRegion.id, { shape: this.value });
+});
+
+// Aspect ratio lock
+aspectRatioSelect.addEventListener('change', function() {
+    if (videoAreaSelector) {
+        videoAreaSelector.setAspectRatio(this.value || null);
+    }
+});
+
+// Snapping
+snapToSelect.addEventListener('change', function() {
+    if (videoAreaSelector) {
+        videoAreaSelector.setSnapping({ snapTo: Number(this.value) || null });
+    }
+});
+
+snapToEdgesCheckbox.addEventListener('change', function() {
+    if (videoAreaSelector) {
+        videoAreaSelector.setSnapping({ snapToEdges: this.checked });
+    }
+});
+
+// Output size of the cropped preview and exported clips
+outputSizeSelect.addEventListener('change', function() {
+    if (cropPreview) {
+        const size = getOutputSize();
+        cropPreview.setOutputSize(size.width, size.height);
+    }
+});
+
+// Parse the chosen output size; the selection size is used without one
+function getOutputSize() {
+    const [width, height] = outputSizeSelect.value.split('x').map(Number);
+    return { width: width || null, height: height || null };
+}
+
+// Still image of the selected area at source resolution
+saveSnapshotButton.addEventListener('click', function() {
+    if (!videoAreaSelector) return;
+    
+    const format = snapshotFormatSelect.value;
+    videoAreaSelector.captureRegion({ format: format, quality: 0.92 }).then(blob => {
+        downloadBlob(blob, `snapshot.${format === 'jpeg' ? 'jpg' : format}`);
+    }).catch(error => {
+        alert(`Could not capture the image: ${error.message}`);
+    });
+});
+
+// The clipboard takes PNG images only
+copySnapshotButton.addEventListener('click', function() {
+    if (!videoAreaSelector) return;
+    
+    videoAreaSelector.captureRegion({ format: 'png' }).then(blob => {
+        return navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+    }).catch(error => {
+        alert(`Could not copy the image: ${error.message}`);
+    });
+});
+
+// Clip range from the playhead
+setInPointButton.addEventListener('click', function() {
+    setClipRange(videoElement.currentTime, outPoint !== null && outPoint <= videoElement.currentTime ? null : outPoint);
+});
+
+setOutPointButton.addEventListener('click', function() {
+    setClipRange(inPoint !== null && inPoint >= videoElement.currentTime ? null : inPoint, videoElement.currentTime);
+});
+
+function setClipRange(start, end) {
+    inPoint = start;
+    outPoint = end;
+    inPointDisplay.textContent = start === null ? 'Start' : `${start.toFixed(2)} s`;
+    outPointDisplay.textContent = end === null ? 'End' : `${end.toFixed(2)} s`;
+}
+
+// Formats the browser can't produce are offered disabled
+Array.from(exportFormatSelect.options).forEach(option => {
+    option.disabled = !VideoAreaExporter.isSupported(option.value);
+});
+
+// Render the selected area of the clip range and download it
+exportClipButton.addEventListener('click', function() {
+    if (!videoAreaSelector || clipExporter) return;
+    
+    if (!videoAreaSelector.getSelection()) {
+        alert('Please select an area to export first.');
+        return;
+    }
+    
+    const format = exportFormatSelect.value;
+    clipExporter = new VideoAreaExporter({
+        selector: videoAreaSelector,
+        start: inPoint || 0,
+        end: outPoint,
+        format: format,
+        ...getOutputSize(),
+        onProgress: ({progress}) => {
+            exportProgress.value = progress;
+        }
+    });
+    
+    exportProgress.value = 0;
+    exportProgress.hidden = false;
+    cancelExportButton.hidden = false;
+    exportClipButton.disabled = true;
+    
+    clipExporter.export().then(blob => {
+        downloadBlob(blob, `clip.${format}`);
+    }).catch(error => {
+        if (error.name !== 'AbortError') {
+            alert(`Could not export the clip: ${error.message}`);
+        }
+    }).finally(() => {
+        clipExporter = null;
+        exportProgress.hidden = true;
+        cancelExportButton.hidden = true;
+        exportClipButton.disabled = false;
+    });
+});
+
+cancelExportButton.addEventListener('click', function() {
+    if (clipExporter) {
+        clipExporter.cancel();
+    }
+});
+
+// Save a file made in the browser
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Select the picture inside black bars as a starting point
+detectCropButton.addEventListener('click', function() {
+    if (!videoAnalyzer || videoAnalyzer.isRunning()) return;
+    
+    const analyzer = videoAnalyzer;
+    detectCropButton.disabled = true;
+    analyzer.detectCrop().then(content => {
+        if (!content) {
+            alert('The sampled frames are all black.');
+        }
+    }).catch(error => {
+        if (error.name !== 'AbortError') {
+            alert(`Could not detect black bars: ${error.message}`);
+        }
+    }).finally(() => {
+        detectCropButton.disabled = false;
+    });
+});
+
+// Follow the selected content from the playhead on; clicking again stops
+trackForwardButton.addEventListener('click', function() {
+    if (!videoAnalyzer || !isSeekableVideo()) return;
+    
+    if (videoAnalyzer.isRunning()) {
+        if (runningAnalysis === 'tracking') {
+            videoAnalyzer.cancel();
+        }
+        return;
+    }
+    if (!videoAreaSelector.getSelection()) {
+        alert('Please select an area to track first.');
+        return;
+    }
+    
+    runningAnalysis = 'tracking';
+    trackForwardButton.textContent = 'Stop Tracking';
+    videoAnalyzer.trackForward().then(result => {
+        if (result.lost) {
+            alert(`Lost track at ${result.time.toFixed(2)} s. Correct the box there and track forward again.`);
+        }
+    }).catch(error => {
+        if (error.name !== 'AbortError') {
+            alert(`Could not track the selection: ${error.message}`);
+        }
+    }).finally(() => {
+        runningAnalysis = null;
+        trackForwardButton.textContent = 'Track Forward';
+    });
+});
+
+// Scan the video for scene cuts; clicking again stops. Cuts are listed as they're found.
+detectSceneCutsButton.addEventListener('click', function() {
+    if (!videoAnalyzer || !isSeekableVideo()) return;
+    
+    if (videoAnalyzer.isRunning()) {
+        if (runningAnalysis === 'sceneCuts') {
+            videoAnalyzer.cancel();
+        }
+        return;
+    }
+    
+    runningAnalysis = 'sceneCuts';
+    detectSceneCutsButton.textContent = 'Stop Detection';
+    videoAnalyzer.detectSceneCuts().catch(error => {
+        if (error.name !== 'AbortError') {
+            alert(`Could not detect scene cuts: ${error.message}`);
+        }
+    }).finally(() => {
+        runningAnalysis = null;
+        detectSceneCutsButton.textContent = 'Detect Scene Cuts';
+    });
+});
+
+// Show the scene cuts as timeline markers and a list to jump to
+function renderSceneCuts() {
+    sceneTimeline.querySelectorAll('.scene-marker').forEach(marker => marker.remove());
+    while (sceneCutList.firstChild) {
+        sceneCutList.removeChild(sceneCutList.firstChild);
+    }
+    
+    if (!videoAnalyzer) return;
+    
+    videoAnalyzer.getSceneCuts().forEach(cut => {
+        const label = `${cut.time.toFixed(2)} s`;
+        
+        const marker = document.createElement('div');
+        marker.className = 'scene-marker';
+        marker.title = label;
+        marker.style.left = `${cut.time / videoElement.duration * 100}%`;
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            videoAreaSelector.seekToFrame(cut.frame);
+        });
+        sceneTimeline.appendChild(marker);
+        
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'scene-cut';
+        button.textContent = label;
+        button.addEventListener('click', () => videoAreaSelector.seekToFrame(cut.frame));
+        item.appendChild(button);
+        sceneCutList.appendChild(item);
+    });
+}
+
+// Clicking the timeline seeks to that point
+sceneTimeline.addEventListener('click', function(e) {
+    if (!isSeekableVideo()) return;
+    
+    const rect = sceneTimeline.getBoundingClientRect();
+    videoElement.currentTime = (e.clientX - rect.left) / rect.width * videoElement.duration;
+});
+
+videoElement.addEventListener('timeupdate', function() {
+    if (isSeekableVideo()) {
+        scenePlayhead.style.left = `${videoElement.currentTime / videoElement.duration * 100}%`;
+    }
+});
+
+// Render a chip per region to select or remove it
+function renderRegions() {
+    while (regionList.firstChild) {
+        regionList.removeChild(regionList.firstChild);
+    }
+    
+    if (!videoAreaSelector) return;
+    
+    const regions = videoAreaSelector.getRegions();
+    regions.forEach(region => {
+        const chip = document.createElement('div');
+        chip.className = 'region-chip';
+        chip.classList.toggle('active', region.selected);
+        if (region.selected) {
+            shapeSelect.value = region.shape;
+            chipsActiveRegionId = region.id;
+        }
+        if (region.border) {
+            chip.style.setProperty('--region-color', region.border);
+        }
+        chip.textContent = region.label;
+        chip.addEventListener('click', () => {
+            videoAreaSelector.selectRegion(region.id);
+            renderRegions();
+        });
+        
+        if (regions.length > 1) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'region-remove';
+            removeButton.title = 'Remove region';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                videoAreaSelector.removeRegion(region.id);
+                renderRegions();
+                
+                const selectionData = videoAreaSelector.getSelection();
+                if (selectionData) {
+                    updateCoordinates(selectionData);
+                }
+            });
+            chip.appendChild(removeButton);
+        }
+        
+        regionList.appendChild(chip);
+    });
+}
+
 // Key controls for video navigation (work in both modes)
 document.addEventListener('keydown', function(e) {
-    // Skip if the target is an input element or textarea
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+    // Skip if the target is an input element, textarea or select
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
         return;
     }
     
-    if (videoElement.src) {
-        if (e.code === 'Space') {
+    // Single-key shortcuts leave combinations like Ctrl+0 or Cmd+O to the browser
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    
+    if (videoAreaSelector) {
+        if (e.code === 'KeyZ' && (e.ctrlKey || e.metaKey)) {
+            // Ctrl+Z to undo, Ctrl+Shift+Z to redo the last selection edit
+            e.preventDefault();
+            if (e.shiftKey) {
+                videoAreaSelector.redo();
+            } else {
+                videoAreaSelector.undo();
+            }
+        } else if (e.code === 'Space' && currentMedia === videoElement) {
             // Space bar for play/pause
             e.preventDefault();
             if (videoElement.paused) {
@@ -180,15 +697,30 @@ document.addEventListener('keydown', function(e) {
             } else {
                 videoElement.pause();
             }
-        } else if (e.code === 'ArrowLeft') {
-            // Left arrow for step back
+        } else if (e.code === 'ArrowLeft' && isSeekableVideo()) {
+            // Left arrow for one frame back, Shift+Left for one second back
             e.preventDefault();
-            videoElement.currentTime = Math.max(0, videoElement.currentTime - (e.shiftKey ? 1 : 0.04));
-        } else if (e.code === 'ArrowRight') {
-            // Right arrow for step forward
+            if (e.shiftKey) {
+                videoElement.currentTime = Math.max(0, videoElement.currentTime - 1);
+            } else {
+                videoAreaSelector.stepFrames(-1);
+            }
+        } else if (e.code === 'ArrowRight' && isSeekableVideo()) {
+            // Right arrow for one frame forward, Shift+Right for one second forward
             e.preventDefault();
-            videoElement.currentTime = Math.min(videoElement.duration, videoElement.currentTime + (e.shiftKey ? 1 : 0.04));
-        } else if (e.code === 'KeyM') {
+            if (e.shiftKey) {
+                videoElement.currentTime = Math.min(videoElement.duration, videoElement.currentTime + 1);
+            } else {
+                videoAreaSelector.stepFrames(1);
+            }
+        } else if ((e.code === 'ArrowUp' || e.code === 'ArrowDown') && isSeekableVideo()) {
+            // Up arrow for the previous scene cut, Down arrow for the next one
+            const cut = e.code === 'ArrowUp' ? videoAnalyzer.getPreviousSceneCut() : videoAnalyzer.getNextSceneCut();
+            if (cut) {
+                e.preventDefault();
+                videoAreaSelector.seekToFrame(cut.frame);
+            }
+        } else if (e.code === 'KeyM' && !hasModifier) {
             // M key to toggle between modes
             e.preventDefault();
             if (isSelectionMode) {
@@ -196,14 +728,113 @@ document.addEventListener('keydown', function(e) {
             } else {
                 selectionModeButton.click();
             }
+        } else if (e.code === 'Digit0' && !hasModifier) {
+            // 0 key to show the whole video again after zooming
+            e.preventDefault();
+            videoAreaSelector.resetZoom();
+        } else if (e.code === 'KeyK' && !hasModifier && isSeekableVideo()) {
+            // K key to keyframe the selection at the current time
+            e.preventDefault();
+            videoAreaSelector.addKeyframe();
+        } else if (e.code === 'KeyT' && !hasModifier && isSeekableVideo()) {
+            // T key to track the selection forward, again to stop
+            e.preventDefault();
+            trackForwardButton.click();
+        } else if (e.code === 'KeyS' && !hasModifier) {
+            // S key to save an image of the selected area, Shift+S to copy it
+            e.preventDefault();
+            if (e.shiftKey) {
+                copySnapshotButton.click();
+            } else {
+                saveSnapshotButton.click();
+            }
+        } else if (e.code === 'KeyI' && !hasModifier && isSeekableVideo()) {
+            // I and O keys to set the clip range for exports
+            e.preventDefault();
+            setInPointButton.click();
+        } else if (e.code === 'KeyO' && !hasModifier && isSeekableVideo()) {
+            e.preventDefault();
+            setOutPointButton.click();
         }
     }
 });
 
+// Keep the active selection, the playhead and the last used template in the URL hash
+// (#sel=left,top,width,height&t=12.5&template=name), so a link to the page shows the
+// same region and frame to anyone opening the same file
+function updateSessionHash() {
+    // Exports and analyses seek through the video, which isn't worth sharing
+    if (!videoAreaSelector || clipExporter || (videoAnalyzer && videoAnalyzer.isRunning())) return;
+    if (isRestoringSession) return;
+    
+    const parts = [];
+    const selectionData = videoAreaSelector.getSelection();
+    if (selectionData) {
+        const { left, top, width, height } = selectionData.absolute;
+        parts.push(`sel=${left},${top},${width},${height}`);
+    }
+    if (isSeekableVideo()) {
+        parts.push(`t=${+videoElement.currentTime.toFixed(3)}`);
+    }
+    if (templateManager.activeTemplateName) {
+        parts.push(`template=${encodeURIComponent(templateManager.activeTemplateName)}`);
+    }
+    
+    // Replace the entry, so edits don't fill the browser history
+    history.replaceState(null, '', '#' + parts.join('&'));
+}
+
+// Apply the selection, playhead and template from the URL hash
+function restoreSessionHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.toString()) return;
+    
+    // Setting the selection fires selectionend; the hash is written once everything is applied
+    isRestoringSession = true;
+    try {
+        const selection = (params.get('sel') || '').split(',').map(Number);
+        if (selection.length === 4 && selection.every(Number.isFinite)) {
+            const [left, top, width, height] = selection;
+            videoAreaSelector.setSelection({ left, top, width, height });
+        }
+        
+        const time = parseFloat(params.get('t'));
+        if (Number.isFinite(time) && isSeekableVideo()) {
+            videoElement.currentTime = Math.min(Math.max(0, time), videoElement.duration || time);
+        }
+        
+        if (params.has('template')) {
+            templateManager.setActiveTemplate(params.get('template'));
+        }
+    } finally {
+        isRestoringSession = false;
+    }
+    
+    updateSessionHash();
+}
+
+// Display the media resolution, with the detected frame rate of a video
+function showResolution() {
+    const width = currentMedia.videoWidth || currentMedia.naturalWidth;
+    const height = currentMedia.videoHeight || currentMedia.naturalHeight;
+    const frameRate = currentMedia === videoElement && videoAreaSelector.getFrameRate();
+    
+    videoResolution.textContent = frameRate ? `${width} × ${height} @ ${+frameRate.toFixed(3)} fps` : `${width} × ${height}`;
+}
+
 // Update coordinates display and template manager
 function updateCoordinates(selectionData) {
     if (!selectionData) return;
     
+    // Only the active region drives the display; clicking a box selects its region
+    if (!selectionData.region.selected) return;
+    
+    // The chips only change with the active region, e.g. when a box is focused with Tab;
+    // rebuilding them on every pointer move of a drag isn't needed
+    if (selectionData.region.id !== chipsActiveRegionId) {
+        renderRegions();
+    }
+    
     // Show coordinates display
     document.getElementById('coordinates').style.display = 'block';
     
@@ -214,4 +845,13 @@ function updateCoordinates(selectionData) {
     
     // Update template manager with new selection values
     templateManager.updateSelectionValues(selectionData);
+}
+
+// Reset the coordinates display when the active region's selection is cleared
+function resetCoordinates(event) {
+    if (!event.region.selected) return;
+    
+    originalPosition.textContent = '-';
+    originalWidth.textContent = '-';
+    originalHeight.textContent = '-';
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Pixel analysis for VideoAreaSelector, without DOM access
+ */
+
+import { VideoAreaRect } from './video-area-geometry.js';
+
+/** RGBA frame, e.g. ImageData */
+export interface VideoAreaFrame {
+  data: Uint8ClampedArray | Uint8Array;
+  width: number;
+  height: number;
+}
+
+/** Content inside black bars; null for a black frame */
+export function findContentRect(frame: VideoAreaFrame, threshold?: number): VideoAreaRect | null;
+/** Median edges of the content rectangles of several frames */
+export function stableContentRect(rects: Array<VideoAreaRect | null>): VideoAreaRect | null;
+
+/** One luma value (0-255) per pixel */
+export interface VideoAreaLumaImage {
+  data: Float32Array;
+  width: number;
+  height: number;
+}
+
+export interface VideoAreaBlockMatch {
+  x: number;
+  y: number;
+  /** Mean absolute luma difference (0-255) */
+  difference: number;
+}
+
+// Block matching, as used for tracking
+export function toLuma(frame: VideoAreaFrame): VideoAreaLumaImage;
+export function cropLuma(image: VideoAreaLumaImage, rect: VideoAreaRect): VideoAreaLumaImage;
+export function matchBlock(block: VideoAreaLumaImage, image: VideoAreaLumaImage, expected: { x: number; y: number }, radius: number): VideoAreaBlockMatch | null;
+
+/** Mean absolute luma difference of two images of the same size, from 0 (same) to 1 */
+export function frameDifference(a: VideoAreaLumaImage, b: VideoAreaLumaImage): number;
+
+export interface VideoAreaSceneCutMatch {
+  /** First frame of the new shot */
+  frame: number;
+  /** Difference (0-1) to the frame before it */
+  score: number;
+}
+
+/** Bisects a difference between two frames down to the cut frame; null without a cut */
+export function findSceneCut(readFrame: (frame: number) => Promise<VideoAreaLumaImage>, first: number, last: number, threshold: number): Promise<VideoAreaSceneCutMatch | null>;
@@ -0,0 +1,205 @@
+/**
+ * Pixel analysis for VideoAreaSelector, without DOM access
+ *
+ * Frames are ImageData-like objects {data, width, height} with RGBA bytes, as
+ * returned by CanvasRenderingContext2D.getImageData(), so the functions run in
+ * workers and in Node as well.
+ */
+
+/**
+ * Get the luma of a pixel (BT.709 weights)
+ * @param {Uint8ClampedArray} data - RGBA bytes
+ * @param {number} index - Index of the pixel's red byte
+ * @returns {number} - Luma from 0 to 255
+ */
+function luma(data, index) {
+    return 0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2];
+}
+
+/**
+ * Find the rectangle of a frame inside its black bars, like ffmpeg's cropdetect:
+ * rows and columns whose average luma is at most the threshold count as black.
+ * @param {Object} frame - Frame {data, width, height}
+ * @param {number} [threshold] - Highest average luma (0-255) of a black row or column (default: 24)
+ * @returns {Object|null} - Rectangle {left, top, width, height} in frame pixels, or null for a black frame
+ */
+export function findContentRect({data, width, height}, threshold = 24) {
+    const rowSums = new Float64Array(height);
+    const columnSums = new Float64Array(width);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = luma(data, (y * width + x) * 4);
+            rowSums[y] += value;
+            columnSums[x] += value;
+        }
+    }
+
+    const isRowContent = y => rowSums[y] / width > threshold;
+    const isColumnContent = x => columnSums[x] / height > threshold;
+
+    let top = 0;
+    while (top < height && !isRowContent(top)) top++;
+    if (top === height) return null;
+
+    let bottom = height - 1;
+    while (!isRowContent(bottom)) bottom--;
+
+    let left = 0;
+    while (left < width && !isColumnContent(left)) left++;
+    if (left === width) return null;
+
+    let right = width - 1;
+    while (!isColumnContent(right)) right--;
+
+    return { left: left, top: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Get the median of numbers
+ * @param {Array<number>} values - At least one number
+ * @returns {number} - The median; the lower middle value for an even count
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Combine the content rectangles of several frames into the stable one. Each edge is
+ * the median of the frames, so dark scenes (which look narrower) and subtitles in the
+ * bars (which look wider) don't move it.
+ * @param {Array<Object|null>} rects - Rectangles {left, top, width, height}; nulls (black frames) are skipped
+ * @returns {Object|null} - The stable rectangle, or null without rectangles
+ */
+export function stableContentRect(rects) {
+    const found = rects.filter(Boolean);
+    if (found.length === 0) return null;
+
+    const left = median(found.map(rect => rect.left));
+    const top = median(found.map(rect => rect.top));
+    const right = median(found.map(rect => rect.left + rect.width));
+    const bottom = median(found.map(rect => rect.top + rect.height));
+
+    return { left: left, top: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Convert a frame to luma values, the form block matching works on
+ * @param {Object} frame - Frame {data, width, height} with RGBA bytes
+ * @returns {Object} - Luma image {data, width, height} with one value (0-255) per pixel
+ */
+export function toLuma({data, width, height}) {
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = luma(data, i * 4);
+    }
+    return { data: values, width: width, height: height };
+}
+
+/**
+ * Copy a rectangle out of a luma image
+ * @param {Object} image - Luma image {data, width, height}
+ * @param {Object} rect - Rectangle {left, top, width, height} in whole pixels inside the image
+ * @returns {Object} - Luma image of the rectangle
+ */
+export function cropLuma(image, {left, top, width, height}) {
+    const values = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const start = (top + y) * image.width + left;
+        values.set(image.data.subarray(start, start + width), y * width);
+    }
+    return { data: values, width: width, height: height };
+}
+
+/**
+ * Find where a block of pixels moved to, by the smallest mean absolute difference
+ * over every position within a radius of the expected one
+ * @param {Object} block - Luma image of the block to find
+ * @param {Object} image - Luma image to search in
+ * @param {Object} expected - Expected position {x, y} of the block's top left corner in the image
+ * @param {number} radius - Largest distance in pixels searched along each axis
+ * @returns {Object|null} - Best position {x, y, difference} with the mean difference (0-255),
+ *   or null when the block doesn't fit in the image
+ */
+export function matchBlock(block, image, expected, radius) {
+    const minX = Math.max(0, Math.round(expected.x - radius));
+    const maxX = Math.min(image.width - block.width, Math.round(expected.x + radius));
+    const minY = Math.max(0, Math.round(expected.y - radius));
+    const maxY = Math.min(image.height - block.height, Math.round(expected.y + radius));
+    if (minX > maxX || minY > maxY) return null;
+
+    let best = null;
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            let sum = 0;
+
+            // Stop adding up a position once it can't beat the best one
+            for (let row = 0; row < block.height && (!best || sum <= best.sum); row++) {
+                const blockStart = row * block.width;
+                const imageStart = (y + row) * image.width + x;
+                for (let column = 0; column < block.width; column++) {
+                    sum += Math.abs(block.data[blockStart + column] - image.data[imageStart + column]);
+                }
+            }
+
+            // Ties go to the position closest to the expected one
+            const distance = Math.abs(x - expected.x) + Math.abs(y - expected.y);
+            if (!best || sum < best.sum || (sum === best.sum && distance < best.distance)) {
+                best = { x: x, y: y, sum: sum, distance: distance };
+            }
+        }
+    }
+
+    return { x: best.x, y: best.y, difference: best.sum / (block.width * block.height) };
+}
+
+/**
+ * Measure how much two frames differ, for finding scene cuts
+ * @param {Object} a - Luma image {data, width, height}
+ * @param {Object} b - Luma image of the same size
+ * @returns {number} - Mean absolute luma difference from 0 (same) to 1
+ */
+export function frameDifference(a, b) {
+    if (a.width !== b.width || a.height !== b.height) {
+        throw new Error('VideoAreaAnalyzer got frames of different sizes');
+    }
+
+    let sum = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        sum += Math.abs(a.data[i] - b.data[i]);
+    }
+    return sum / (a.data.length * 255);
+}
+
+/**
+ * Look for a scene cut between two frames. Where their difference is over the
+ * threshold, the cut is narrowed down to the exact frame by bisection (it's in the
+ * half whose ends differ the most) and kept if that frame differs from the one before it.
+ * @param {Function} readFrame - Async function returning the luma image of a frame number
+ * @param {number} first - Frame number before the cut
+ * @param {number} last - Frame number after the cut
+ * @param {number} threshold - Difference (0-1) between two frames that is a cut
+ * @returns {Promise<Object|null>} - Cut {frame, score} with the first frame of the new shot
+ *   and the difference to the frame before it, or null without a cut
+ */
+export async function findSceneCut(readFrame, first, last, threshold) {
+    if (frameDifference(await readFrame(first), await readFrame(last)) <= threshold) {
+        return null;
+    }
+
+    let low = first;
+    let high = last;
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        const middleFrame = await readFrame(middle);
+        if (frameDifference(await readFrame(low), middleFrame) >= frameDifference(middleFrame, await readFrame(high))) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+
+    const score = frameDifference(await readFrame(low), await readFrame(high));
+    return score > threshold ? { frame: high, score: score } : null;
+}
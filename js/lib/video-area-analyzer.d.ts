@@ -0,0 +1,94 @@
+/**
+ * Frame analysis of a VideoAreaSelector's media through a canvas
+ */
+
+import { VideoAreaSelector, VideoAreaKeyframe } from './video-area-selector.js';
+import { VideoAreaRect } from './video-area-geometry.js';
+
+export interface VideoAreaAnalysisProgress {
+  /** Fraction done, from 0 to 1 */
+  progress: number;
+  /** Video time of the last analyzed frame in seconds, null for media without a timeline */
+  time: number | null;
+}
+
+export interface VideoAreaSceneCut {
+  /** Start of the first frame of the new shot in seconds */
+  time: number;
+  frame: number;
+  /** Difference (0-1) between the frames on either side of the cut */
+  score: number;
+}
+
+export interface VideoAreaAnalyzerOptions {
+  selector: VideoAreaSelector;
+  onProgress?: (progress: VideoAreaAnalysisProgress) => void;
+  /** Called with each scene cut as it's found */
+  onSceneCut?: (cut: VideoAreaSceneCut) => void;
+}
+
+export interface VideoAreaSceneCutOptions {
+  /** Scanned range in seconds (default: the whole video) */
+  start?: number;
+  end?: number | null;
+  /** Seconds between compared frames (default: 0.5) */
+  interval?: number;
+  /** Difference (0-1) between two frames that is a cut (default: 0.3) */
+  threshold?: number;
+}
+
+export interface VideoAreaCropDetectOptions {
+  /** Number of frames to sample (default: 10) */
+  samples?: number;
+  /** Highest average luma (0-255) of a black row or column (default: 24) */
+  threshold?: number;
+  /** Sampled range in seconds (default: the whole video) */
+  start?: number;
+  end?: number | null;
+  /** Set the result as the active region's selection (default: true) */
+  apply?: boolean;
+}
+
+export interface VideoAreaTrackingOptions {
+  /** Region to track, defaults to the active region */
+  regionId?: string | null;
+  /** Time in seconds to stop at (default: the end of the video) */
+  end?: number | null;
+  /** Frames to advance between tracked frames (default: 1) */
+  step?: number;
+  /** Largest movement between tracked frames in video pixels (default: a quarter of the selection's larger side) */
+  searchRadius?: number | null;
+  /** Largest mean luma difference (0-255) of a match before the content counts as lost (default: 40) */
+  maxDifference?: number;
+}
+
+export interface VideoAreaTrackingResult {
+  /** New keyframes, starting with the selection at the start time */
+  track: VideoAreaKeyframe[];
+  /** Whether tracking stopped because the content was lost */
+  lost: boolean;
+  /** Time of the last keyframe in seconds */
+  time: number;
+}
+
+export declare class VideoAreaAnalyzer {
+  constructor(options: VideoAreaAnalyzerOptions);
+
+  readonly selector: VideoAreaSelector;
+
+  /** Content inside letterbox/pillarbox bars in original video pixels, null when every frame was black */
+  detectCrop(options?: VideoAreaCropDetectOptions): Promise<VideoAreaRect | null>;
+  /** Follow the selection's content from the current time and write it to the region's track */
+  trackForward(options?: VideoAreaTrackingOptions): Promise<VideoAreaTrackingResult>;
+  /** Scene cuts of the range; they're also kept for getSceneCuts() */
+  detectSceneCuts(options?: VideoAreaSceneCutOptions): Promise<VideoAreaSceneCut[]>;
+  getSceneCuts(): VideoAreaSceneCut[];
+  /** Times default to the current time */
+  getNextSceneCut(time?: number): VideoAreaSceneCut | null;
+  getPreviousSceneCut(time?: number): VideoAreaSceneCut | null;
+  /** Rejects the running analysis with a DOMException named 'AbortError' */
+  cancel(): VideoAreaAnalyzer;
+  isRunning(): boolean;
+}
+
+export default VideoAreaAnalyzer;
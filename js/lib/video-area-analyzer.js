@@ -0,0 +1,441 @@
+/**
+ * VideoAreaAnalyzer - Reads frames of a selector's media through a canvas to
+ * suggest and follow selections
+ */
+import {
+    findContentRect, stableContentRect, toLuma, cropLuma, matchBlock, findSceneCut
+} from './video-area-analysis.js';
+import { DEFAULT_FRAME_RATE, KEYFRAME_TIME_EPSILON } from './video-area-selector.js';
+import { VideoAreaMediaTask } from './video-area-media-task.js';
+
+// Largest block sizes (in pixels) matched when tracking: a coarse search over
+// the whole radius, then a fine one around its result
+const TRACKING_BLOCK_SIZES = [48, 192];
+
+// Width in pixels of the thumbnails compared for scene cuts
+const SCENE_THUMBNAIL_WIDTH = 64;
+
+export class VideoAreaAnalyzer extends VideoAreaMediaTask {
+    /**
+     * Create an analyzer for the media of a VideoAreaSelector
+     * @param {Object} options - Configuration options
+     * @param {VideoAreaSelector} options.selector - The selector to analyze the media of
+     * @param {Function} options.onProgress - Callback with {progress, time} while analyzing
+     * @param {Function} options.onSceneCut - Callback with each scene cut {time, frame, score} as it's found
+     */
+    constructor(options) {
+        super('VideoAreaAnalyzer', 'analysis');
+
+        // Default options
+        this.options = {
+            selector: null,
+            onProgress: null,
+            onSceneCut: null,
+            ...options
+        };
+
+        if (!this.options.selector) {
+            throw new Error('VideoAreaAnalyzer requires a VideoAreaSelector');
+        }
+
+        this.selector = this.options.selector;
+        this.mediaElement = this.selector.videoElement;
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        this._sceneCuts = [];
+    }
+
+    /**
+     * Find the content inside letterbox and pillarbox bars, like ffmpeg's cropdetect,
+     * and select it as a suggestion. Frames are sampled evenly across the video (or the
+     * range); images, canvases and streams are analyzed at their current frame.
+     * @param {Object} [options] - Detection options
+     * @param {number} [options.samples] - Number of frames to sample (default: 10)
+     * @param {number} [options.threshold] - Highest average luma (0-255) of a black row or column (default: 24)
+     * @param {number} [options.start] - Start of the sampled range in seconds (default: 0)
+     * @param {number} [options.end] - End of the sampled range in seconds (default: the end of the video)
+     * @param {boolean} [options.apply] - Set the result as the active region's selection (default: true)
+     * @returns {Promise<Object|null>} - Content {left, top, width, height} in original video
+     *   pixels, or null when every frame was black
+     */
+    detectCrop({samples = 10, threshold = 24, start = 0, end = null, apply = true} = {}) {
+        return this._run(async () => {
+            const times = this._getSampleTimes(samples, start, end);
+            const rects = [];
+
+            for (let i = 0; i < times.length; i++) {
+                this._throwIfCancelled();
+                if (times[i] !== null) {
+                    await this._seek(times[i]);
+                }
+
+                rects.push(findContentRect(this._readFrame(), threshold));
+                this._reportProgress((i + 1) / times.length, times[i]);
+            }
+
+            const content = stableContentRect(rects);
+            if (content && apply) {
+                // Constraints of the selector (snapping, aspect ratio) still apply
+                this.selector.setSelection(content);
+            }
+            return content;
+        });
+    }
+
+    /**
+     * Follow the content of a selection frame by frame from the current time, by block
+     * matching, and write the boxes to the region's keyframe track for review. Keyframes
+     * after the current time are replaced, also when the tracking is cancelled or lost.
+     * @param {Object} [options] - Tracking options
+     * @param {String} [options.regionId] - Region to track, defaults to the active region
+     * @param {number} [options.end] - Time in seconds to stop at (default: the end of the video)
+     * @param {number} [options.step] - Frames to advance between tracked frames (default: 1)
+     * @param {number} [options.searchRadius] - Largest movement between tracked frames in video
+     *   pixels (default: a quarter of the selection's larger side)
+     * @param {number} [options.maxDifference] - Largest mean luma difference (0-255) of a match;
+     *   tracking stops as lost above it, e.g. at a scene cut (default: 40)
+     * @returns {Promise<Object>} - {track, lost, time} with the new keyframes, whether the
+     *   content was lost and the time of the last keyframe
+     */
+    trackForward({regionId = null, end = null, step = 1, searchRadius = null, maxDifference = 40} = {}) {
+        return this._run(async () => {
+            if (!this._isSeekable()) {
+                throw new Error('VideoAreaAnalyzer can only track in a video file');
+            }
+
+            const data = this.selector.getSelection(regionId);
+            if (!data) {
+                throw new Error('VideoAreaAnalyzer requires a selection to track');
+            }
+
+            const video = this.mediaElement;
+            const frameRate = this.selector.getFrameRate() || DEFAULT_FRAME_RATE;
+            const startTime = video.currentTime;
+            const startFrame = this.selector.getCurrentFrame();
+            const endTime = Math.min(end === null || end === undefined ? video.duration : end, video.duration);
+            const frameStep = Math.max(1, Math.round(step));
+            const frameCount = Math.floor((Math.ceil(endTime * frameRate) - 1 - startFrame) / frameStep);
+
+            const {left, top, width, height} = data.absolute;
+            let box = { left, top, width, height };
+            const radius = searchRadius || Math.max(8, Math.max(width, height) / 4);
+
+            // Scales of the coarse and fine search, with the block at each scale
+            const scales = [...new Set(TRACKING_BLOCK_SIZES.map(size => Math.min(1, size / Math.max(width, height))))];
+            let blocks = scales.map(scale => toLuma(this._readFrame(box, scale)));
+
+            const keyframes = [{ time: startTime, ...box }];
+            let lost = false;
+
+            try {
+                for (let i = 1; i <= frameCount; i++) {
+                    this._throwIfCancelled();
+
+                    // The middle of the frame, so the frame is shown even when the browser rounds the time
+                    const time = (startFrame + i * frameStep + 0.5) / frameRate;
+                    await this._seek(time);
+
+                    const match = this._matchBox(box, blocks, scales, radius);
+                    if (!match || match.difference > maxDifference) {
+                        lost = true;
+                        break;
+                    }
+
+                    box = match.box;
+                    blocks = match.blocks;
+                    keyframes.push({ time: time, ...box });
+                    this._reportProgress(i / frameCount, time);
+                }
+            } finally {
+                const region = data.region.id;
+                const kept = this.selector.getTrack(region).filter(k => k.time < startTime - KEYFRAME_TIME_EPSILON);
+                this.selector.setTrack(kept.concat(keyframes), region);
+            }
+
+            return { track: keyframes, lost: lost, time: keyframes[keyframes.length - 1].time };
+        });
+    }
+
+    /**
+     * Find the scene cuts of a video by comparing small copies of its frames. Frames
+     * are compared every interval; where they differ, the cut is narrowed down to the
+     * exact frame by bisection, and kept if that frame differs from the one before it.
+     * Gradual transitions such as fades aren't detected.
+     * @param {Object} [options] - Detection options
+     * @param {number} [options.start] - Start of the scanned range in seconds (default: 0)
+     * @param {number} [options.end] - End of the scanned range in seconds (default: the end of the video)
+     * @param {number} [options.interval] - Seconds between compared frames (default: 0.5); shots
+     *   shorter than this may be missed
+     * @param {number} [options.threshold] - Difference (0-1) between two frames that is a cut (default: 0.3)
+     * @returns {Promise<Array<Object>>} - Cuts {time, frame, score} sorted by time, where time is
+     *   the start of the first frame of the new shot
+     */
+    detectSceneCuts({start = 0, end = null, interval = 0.5, threshold = 0.3} = {}) {
+        return this._run(async () => {
+            if (!this._isSeekable()) {
+                throw new Error('VideoAreaAnalyzer can only detect scene cuts in a video file');
+            }
+
+            const duration = this.mediaElement.duration;
+            const from = Math.max(0, start || 0);
+            const to = Math.min(end === null || end === undefined ? duration : end, duration);
+            if (!Number.isFinite(to) || to <= from) {
+                throw new Error(`VideoAreaAnalyzer got an invalid time range: ${from} to ${to}`);
+            }
+
+            const frameRate = this.selector.getFrameRate() || DEFAULT_FRAME_RATE;
+            const firstFrame = Math.floor(from * frameRate);
+            const lastFrame = Math.max(firstFrame, Math.ceil(to * frameRate) - 1);
+            const stride = Math.max(1, Math.round(interval * frameRate));
+
+            // Thumbnails are kept while a stretch is bisected
+            let thumbnails = new Map();
+            const readThumbnail = async frame => {
+                if (!thumbnails.has(frame)) {
+                    this._throwIfCancelled();
+                    await this._seek((frame + 0.5) / frameRate);
+                    thumbnails.set(frame, toLuma(this._readFrame(null, SCENE_THUMBNAIL_WIDTH / this.selector.originalVideoWidth)));
+                }
+                return thumbnails.get(frame);
+            };
+
+            // Cuts in the scanned range are replaced, those outside it kept
+            const cuts = [];
+            this._sceneCuts = this._sceneCuts.filter(cut => cut.frame <= firstFrame || cut.frame > lastFrame);
+
+            let previous = firstFrame;
+            while (previous < lastFrame) {
+                const next = Math.min(previous + stride, lastFrame);
+
+                const found = await findSceneCut(readThumbnail, previous, next, threshold);
+                if (found) {
+                    const cut = { time: found.frame / frameRate, frame: found.frame, score: found.score };
+                    cuts.push(cut);
+                    this._addSceneCut(cut);
+                }
+
+                // Only the last thumbnail is needed for the next stretch
+                thumbnails = new Map([[next, thumbnails.get(next)]]);
+                previous = next;
+                this._reportProgress((next - firstFrame) / (lastFrame - firstFrame), next / frameRate);
+            }
+
+            return cuts;
+        });
+    }
+
+    /**
+     * Get the scene cuts found so far, also by a cancelled detection
+     * @returns {Array<Object>} - Cuts {time, frame, score} sorted by time
+     */
+    getSceneCuts() {
+        return this._sceneCuts.map(cut => ({ ...cut }));
+    }
+
+    /**
+     * Get the first scene cut after a time
+     * @param {number} [time] - Time in seconds (default: the current time)
+     * @returns {Object|null} - The cut {time, frame, score}, or null if there is none
+     */
+    getNextSceneCut(time = this.mediaElement.currentTime) {
+        const cut = this._sceneCuts.find(c => c.time > time + KEYFRAME_TIME_EPSILON);
+        return cut ? { ...cut } : null;
+    }
+
+    /**
+     * Get the last scene cut before a time. A time in the first frame after a cut
+     * counts as at the cut, so stepping back repeatedly moves from cut to cut.
+     * @param {number} [time] - Time in seconds (default: the current time)
+     * @returns {Object|null} - The cut {time, frame, score}, or null if there is none
+     */
+    getPreviousSceneCut(time = this.mediaElement.currentTime) {
+        const frameRate = this.selector.getFrameRate() || DEFAULT_FRAME_RATE;
+        const cuts = this._sceneCuts.filter(c => c.time < time - 1 / frameRate);
+        return cuts.length > 0 ? { ...cuts[cuts.length - 1] } : null;
+    }
+
+    /**
+     * Check whether an analysis is running
+     * @returns {boolean} - True while analyzing
+     */
+    isRunning() {
+        return this._running;
+    }
+
+    /**
+     * Run one analysis at a time. A video is paused while it's analyzed and
+     * returned to its time and play state afterwards.
+     * @param {Function} task - Async function doing the analysis
+     * @returns {Promise<*>} - Result of the task
+     * @private
+     */
+    async _run(task) {
+        if (this._running) {
+            throw new Error('VideoAreaAnalyzer is already running');
+        }
+
+        this._running = true;
+        this._cancelled = false;
+
+        const video = this._isSeekable() ? this.mediaElement : null;
+        const state = video && { time: video.currentTime, paused: video.paused };
+        if (video) video.pause();
+
+        try {
+            await this.selector.ready();
+            return await task();
+        } finally {
+            if (video) {
+                try {
+                    if (video.currentTime !== state.time) {
+                        await this._seek(state.time);
+                    }
+                } catch (error) {
+                    // The analysis result matters more than where the video is left
+                }
+                if (!state.paused) {
+                    video.play().catch(() => {});
+                }
+            }
+            this._running = false;
+        }
+    }
+
+    /**
+     * Keep a scene cut in time order and report it
+     * @param {Object} cut - Cut {time, frame, score}
+     * @private
+     */
+    _addSceneCut(cut) {
+        const index = this._sceneCuts.findIndex(c => c.frame > cut.frame);
+        this._sceneCuts.splice(index === -1 ? this._sceneCuts.length : index, 0, cut);
+
+        if (typeof this.options.onSceneCut === 'function') {
+            this.options.onSceneCut({ ...cut });
+        }
+    }
+
+    /**
+     * Check whether the media is a video file that can be seeked
+     * @returns {boolean} - True for a video without a stream
+     * @private
+     */
+    _isSeekable() {
+        return this.mediaElement instanceof HTMLVideoElement && !this.mediaElement.srcObject;
+    }
+
+    /**
+     * Spread sample times evenly over a range, in the middle of equal parts
+     * @param {number} count - Number of samples
+     * @param {number} start - Start of the range in seconds
+     * @param {number|null} end - End of the range, null for the end of the video
+     * @returns {Array<number|null>} - Times in seconds; a single null (the current frame) for media without a timeline
+     * @private
+     */
+    _getSampleTimes(count, start, end) {
+        if (!this._isSeekable()) {
+            return [null];
+        }
+
+        const duration = this.mediaElement.duration;
+        const from = Math.max(0, start || 0);
+        const to = Math.min(end === null || end === undefined ? duration : end, duration);
+        if (!Number.isFinite(to) || to <= from) {
+            throw new Error(`VideoAreaAnalyzer got an invalid time range: ${from} to ${to}`);
+        }
+
+        const total = Math.max(1, Math.round(count));
+        return Array.from({ length: total }, (_, i) => from + (to - from) * (i + 0.5) / total);
+    }
+
+    /**
+     * Find a box in the current frame, near where it was in the previous one.
+     * Each scale searches around the result of the one before.
+     * @param {Object} box - Box {left, top, width, height} in the previous frame
+     * @param {Array<Object>} blocks - Luma images of the box in the previous frame, one per scale
+     * @param {Array<number>} scales - Scales of the search, coarse to fine
+     * @param {number} radius - Largest movement in video pixels
+     * @returns {Object|null} - {box, blocks, difference} in the current frame, null if the box can't be placed
+     * @private
+     */
+    _matchBox(box, blocks, scales, radius) {
+        const videoWidth = this.selector.originalVideoWidth;
+        const videoHeight = this.selector.originalVideoHeight;
+        let left = box.left;
+        let top = box.top;
+        let searchRadius = radius;
+        let difference = 0;
+        const matchedBlocks = [];
+
+        for (let i = 0; i < scales.length; i++) {
+            const scale = scales[i];
+            const block = blocks[i];
+
+            // Only the area the box can have moved to is read
+            const areaLeft = Math.max(0, Math.floor(left - searchRadius));
+            const areaTop = Math.max(0, Math.floor(top - searchRadius));
+            const area = {
+                left: areaLeft,
+                top: areaTop,
+                width: Math.min(videoWidth, Math.ceil(left + box.width + searchRadius)) - areaLeft,
+                height: Math.min(videoHeight, Math.ceil(top + box.height + searchRadius)) - areaTop
+            };
+            const image = toLuma(this._readFrame(area, scale));
+            const scaleX = image.width / area.width;
+            const scaleY = image.height / area.height;
+
+            const match = matchBlock(block, image, {
+                x: (left - area.left) * scaleX,
+                y: (top - area.top) * scaleY
+            }, searchRadius * scale);
+            if (!match) return null;
+
+            left = area.left + match.x / scaleX;
+            top = area.top + match.y / scaleY;
+            difference = match.difference;
+            matchedBlocks.push(cropLuma(image, { left: match.x, top: match.y, width: block.width, height: block.height }));
+
+            // The next scale refines the position within a pixel of this one
+            searchRadius = 2 / scale;
+        }
+
+        return {
+            box: {
+                left: Math.min(Math.max(0, Math.round(left)), videoWidth - box.width),
+                top: Math.min(Math.max(0, Math.round(top)), videoHeight - box.height),
+                width: box.width,
+                height: box.height
+            },
+            blocks: matchedBlocks,
+            difference: difference
+        };
+    }
+
+    /**
+     * Read the pixels of an area of the current frame
+     * @param {Object} [rect] - Area {left, top, width, height} in video pixels (default: the whole frame)
+     * @param {number} [scale] - Factor applied to the source resolution (default: 1)
+     * @returns {ImageData} - The pixels
+     * @private
+     */
+    _readFrame(rect = null, scale = 1) {
+        const area = rect || {
+            left: 0,
+            top: 0,
+            width: this.selector.originalVideoWidth,
+            height: this.selector.originalVideoHeight
+        };
+        const width = Math.max(1, Math.round(area.width * scale));
+        const height = Math.max(1, Math.round(area.height * scale));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.context.drawImage(this.mediaElement, area.left, area.top, area.width, area.height, 0, 0, width, height);
+        return this.context.getImageData(0, 0, width, height);
+    }
+}
+
+export default VideoAreaAnalyzer;
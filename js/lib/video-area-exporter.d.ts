@@ -0,0 +1,57 @@
+/**
+ * In-browser export of a VideoAreaSelector's selection as a video clip
+ */
+
+import { VideoAreaSelector } from './video-area-selector.js';
+
+export type VideoAreaExportFormat = 'webm' | 'mp4';
+
+export interface VideoAreaExportProgress {
+  /** Fraction done, from 0 to 1 */
+  progress: number;
+  /** Video time of the last rendered frame in seconds */
+  time: number;
+}
+
+export interface VideoAreaExporterOptions {
+  /** Selector on a video file */
+  selector: VideoAreaSelector;
+  /** Region to export, defaults to the active region */
+  regionId?: string | null;
+  /** In point in seconds (default: 0) */
+  start?: number;
+  /** Out point in seconds (default: the end of the video) */
+  end?: number | null;
+  /** Output width, defaults to the selection width */
+  width?: number | null;
+  /** Output height, defaults to the selection height */
+  height?: number | null;
+  fit?: 'contain' | 'cover' | 'fill';
+  /** Color of the letterbox bars */
+  background?: string;
+  /** MP4 is always recorded in real time with MediaRecorder; only WebM is encoded with WebCodecs */
+  format?: VideoAreaExportFormat;
+  /** Output frame rate, defaults to the video's */
+  frameRate?: number | null;
+  /** Target bitrate in bits per second (default: 8000000) */
+  bitrate?: number;
+  onProgress?: (progress: VideoAreaExportProgress) => void;
+}
+
+export declare class VideoAreaExporter {
+  constructor(options: VideoAreaExporterOptions);
+
+  readonly selector: VideoAreaSelector;
+  readonly videoElement: HTMLVideoElement;
+  /** Canvas the frames are rendered to */
+  readonly canvas: HTMLCanvasElement;
+
+  static isSupported(format: VideoAreaExportFormat): boolean;
+
+  /** Rejects with a DOMException named 'AbortError' when cancelled */
+  export(): Promise<Blob>;
+  cancel(): VideoAreaExporter;
+  isExporting(): boolean;
+}
+
+export default VideoAreaExporter;
@@ -0,0 +1,571 @@
+/**
+ * VideoAreaExporter - Renders the selected area of a video to a WebM or MP4 clip in the browser
+ */
+import { fitToOutput } from './video-area-geometry.js';
+import { VideoAreaMediaTask } from './video-area-media-task.js';
+
+const FORMATS = ['webm', 'mp4'];
+
+// WebCodecs codecs for WebM, best first, with their Matroska codec ids
+const WEBM_CODECS = [
+    { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+];
+
+// MediaRecorder types for each format, best first
+const RECORDER_TYPES = {
+    webm: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+    mp4: ['video/mp4;codecs=avc1', 'video/mp4']
+};
+
+// Frame rate of clips from videos whose frame rate isn't known
+const DEFAULT_FRAME_RATE = 30;
+
+// Seconds between keyframes in WebCodecs output
+const KEYFRAME_INTERVAL = 2;
+
+// Encoded frames allowed to wait in the encoder before rendering pauses
+const MAX_ENCODE_QUEUE = 4;
+
+// Milliseconds between checks of the encoder queue in browsers without its dequeue event
+const DEQUEUE_POLL_INTERVAL = 10;
+
+/**
+ * Create an EBML element from its children
+ * @param {number} id - Element id, including its length marker bits
+ * @param {Array<Uint8Array|Array>} children - Encoded data and child elements
+ * @returns {Array<Uint8Array>} - The element as a list of byte arrays
+ */
+function ebmlElement(id, children) {
+    const parts = [].concat(...children);
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const idLength = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+    const header = new Uint8Array(idLength + 8);
+    for (let i = 0; i < idLength; i++) {
+        header[i] = (id >>> ((idLength - 1 - i) * 8)) & 0xFF;
+    }
+
+    // Sizes are always written with 8 bytes: a 0x01 marker and 7 bytes of value
+    header[idLength] = 0x01;
+    let remaining = size;
+    for (let i = idLength + 7; i > idLength; i--) {
+        header[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    return [header].concat(parts);
+}
+
+/**
+ * Create an EBML element holding an unsigned integer
+ * @param {number} id - Element id
+ * @param {number} value - Non-negative integer
+ * @returns {Array<Uint8Array>} - The element
+ */
+function ebmlUint(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return ebmlElement(id, [new Uint8Array(bytes)]);
+}
+
+/**
+ * Create an EBML element holding a 64-bit float
+ * @param {number} id - Element id
+ * @param {number} value - The number
+ * @returns {Array<Uint8Array>} - The element
+ */
+function ebmlFloat(id, value) {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value);
+    return ebmlElement(id, [data]);
+}
+
+/**
+ * Create an EBML element holding a string
+ * @param {number} id - Element id
+ * @param {String} value - The string
+ * @returns {Array<Uint8Array>} - The element
+ */
+function ebmlString(id, value) {
+    return ebmlElement(id, [new TextEncoder().encode(value)]);
+}
+
+/**
+ * Collects encoded video chunks into a WebM file. The file is kept in memory and
+ * written at once, so every size is known and no seeking in the output is needed.
+ * @private
+ */
+class WebmMuxer {
+    /**
+     * @param {Object} options - Track settings
+     * @param {String} options.codecId - Matroska codec id, e.g. 'V_VP9'
+     * @param {number} options.width - Frame width
+     * @param {number} options.height - Frame height
+     */
+    constructor({codecId, width, height}) {
+        this.codecId = codecId;
+        this.width = width;
+        this.height = height;
+        this.clusters = [];
+        this.cluster = null;
+    }
+
+    /**
+     * Add an encoded frame
+     * @param {EncodedVideoChunk} chunk - Output of a VideoEncoder
+     */
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        // Timecodes are in milliseconds; blocks store a 16-bit offset to their cluster
+        const time = Math.round(chunk.timestamp / 1000);
+        const keyFrame = chunk.type === 'key';
+        if (!this.cluster || keyFrame || time - this.cluster.time > 30000) {
+            this.cluster = { time: time, blocks: [] };
+            this.clusters.push(this.cluster);
+        }
+
+        const offset = time - this.cluster.time;
+        const header = new Uint8Array([0x81, (offset >> 8) & 0xFF, offset & 0xFF, keyFrame ? 0x80 : 0x00]);
+        this.cluster.blocks.push(ebmlElement(0xA3, [header, data]));
+    }
+
+    /**
+     * Create the file
+     * @param {number} duration - Duration in milliseconds
+     * @returns {Blob} - The WebM file
+     */
+    finalize(duration) {
+        const header = ebmlElement(0x1A45DFA3, [
+            ebmlUint(0x4286, 1),        // EBMLVersion
+            ebmlUint(0x42F7, 1),        // EBMLReadVersion
+            ebmlUint(0x42F2, 4),        // EBMLMaxIDLength
+            ebmlUint(0x42F3, 8),        // EBMLMaxSizeLength
+            ebmlString(0x4282, 'webm'), // DocType
+            ebmlUint(0x4287, 2),        // DocTypeVersion
+            ebmlUint(0x4285, 2)         // DocTypeReadVersion
+        ]);
+
+        const info = ebmlElement(0x1549A966, [
+            ebmlUint(0x2AD7B1, 1000000), // TimecodeScale: milliseconds
+            ebmlString(0x4D80, 'video-area-selector'),
+            ebmlString(0x5741, 'video-area-selector'),
+            ebmlFloat(0x4489, duration)
+        ]);
+
+        const tracks = ebmlElement(0x1654AE6B, [
+            ebmlElement(0xAE, [
+                ebmlUint(0xD7, 1),      // TrackNumber
+                ebmlUint(0x73C5, 1),    // TrackUID
+                ebmlUint(0x83, 1),      // TrackType: video
+                ebmlString(0x86, this.codecId),
+                ebmlElement(0xE0, [
+                    ebmlUint(0xB0, this.width),
+                    ebmlUint(0xBA, this.height)
+                ])
+            ])
+        ]);
+
+        const clusters = this.clusters.map(cluster => ebmlElement(0x1F43B675, [
+            ebmlUint(0xE7, cluster.time),
+            ...cluster.blocks
+        ]));
+
+        const segment = ebmlElement(0x18538067, [info, tracks, ...clusters]);
+        return new Blob(header.concat(segment), { type: 'video/webm' });
+    }
+}
+
+export class VideoAreaExporter extends VideoAreaMediaTask {
+    /**
+     * Create an exporter for the selection of a VideoAreaSelector
+     * @param {Object} options - Configuration options
+     * @param {VideoAreaSelector} options.selector - Selector on a video file
+     * @param {String} options.regionId - Optional region to export, defaults to the active region
+     * @param {number} options.start - In point in seconds (default: 0)
+     * @param {number} options.end - Out point in seconds (default: the end of the video)
+     * @param {number} options.width - Optional output width, defaults to the selection width
+     * @param {number} options.height - Optional output height, defaults to the selection height
+     * @param {String} options.fit - How a selection of another aspect ratio fills the output:
+     *   'contain' (letterboxed, default), 'cover' (cropped) or 'fill' (stretched)
+     * @param {String} options.background - Color of the letterbox bars
+     * @param {String} options.format - 'webm' (default) or 'mp4'. MP4 is always recorded in real
+     *   time with MediaRecorder, as only WebM output is muxed from WebCodecs.
+     * @param {number} options.frameRate - Optional output frame rate, defaults to the video's
+     * @param {number} options.bitrate - Target bitrate in bits per second (default: 8 Mbit/s)
+     * @param {Function} options.onProgress - Callback with {progress, time} while exporting
+     */
+    constructor(options) {
+        super('VideoAreaExporter', 'export');
+
+        // Default options
+        this.options = {
+            selector: null,
+            regionId: null,
+            start: 0,
+            end: null,
+            width: null,
+            height: null,
+            fit: 'contain',
+            background: '#000',
+            format: 'webm',
+            frameRate: null,
+            bitrate: 8000000,
+            onProgress: null,
+            ...options
+        };
+
+        const selector = this.options.selector;
+        if (!selector || !(selector.videoElement instanceof HTMLVideoElement) || selector.videoElement.srcObject) {
+            throw new Error('VideoAreaExporter requires a VideoAreaSelector on a video file');
+        }
+        if (!FORMATS.includes(this.options.format)) {
+            throw new Error(`VideoAreaExporter got an invalid format: ${this.options.format}`);
+        }
+
+        this.selector = selector;
+        this.videoElement = selector.videoElement;
+        this.mediaElement = selector.videoElement;
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+    }
+
+    /**
+     * Check whether this browser can export to a format
+     * @param {String} format - 'webm' or 'mp4'
+     * @returns {boolean} - True if WebCodecs or MediaRecorder can produce the format
+     */
+    static isSupported(format) {
+        if (format === 'webm' && typeof VideoEncoder === 'function' && typeof VideoFrame === 'function') {
+            return true;
+        }
+        return Boolean(VideoAreaExporter._getRecorderType(format));
+    }
+
+    /**
+     * Render and encode the clip. The video is seeked (or played, without WebCodecs)
+     * while exporting and returned to its time and state afterwards.
+     * @returns {Promise<Blob>} - The clip; rejects with an AbortError when cancelled
+     */
+    async export() {
+        if (this._running) {
+            throw new Error('VideoAreaExporter is already exporting');
+        }
+
+        this._running = true;
+        this._cancelled = false;
+
+        const video = this.videoElement;
+        const state = { time: video.currentTime, paused: video.paused, muted: video.muted };
+        video.pause();
+
+        try {
+            await this.selector.ready();
+            const plan = this._createPlan();
+
+            this.canvas.width = plan.width;
+            this.canvas.height = plan.height;
+
+            // MP4 can only come from MediaRecorder; WebM is encoded frame by frame where possible
+            const config = this.options.format === 'webm' ? await this._findEncoderConfig(plan) : null;
+            if (config) {
+                return await this._encodeWithWebCodecs(plan, config);
+            }
+            if (VideoAreaExporter._getRecorderType(this.options.format)) {
+                return await this._encodeWithMediaRecorder(plan);
+            }
+            throw new Error(`VideoAreaExporter can't encode ${this.options.format} in this browser`);
+        } finally {
+            video.pause();
+            video.muted = state.muted;
+            try {
+                if (video.currentTime !== state.time) {
+                    await this._seek(state.time);
+                }
+            } catch (error) {
+                // The clip's result matters more than where the video is left
+            }
+            if (!state.paused) {
+                video.play().catch(() => {});
+            }
+            this._running = false;
+        }
+    }
+
+    /**
+     * Check whether an export is running
+     * @returns {boolean} - True while exporting
+     */
+    isExporting() {
+        return this._running;
+    }
+
+    /**
+     * Work out the time range, frame rate and output size of the export
+     * @returns {Object} - Plan {start, end, frameRate, frameCount, width, height, selection}
+     * @private
+     */
+    _createPlan() {
+        const {regionId, start, end, width, height} = this.options;
+        const data = this.selector.getSelection(regionId);
+        if (!data) {
+            throw new Error('VideoAreaExporter requires a selection to export');
+        }
+
+        const duration = this.videoElement.duration;
+        const from = Math.max(0, start || 0);
+        const to = Math.min(end === null || end === undefined ? duration : end, duration);
+        if (!Number.isFinite(to) || to <= from) {
+            throw new Error(`VideoAreaExporter got an invalid time range: ${from} to ${to}`);
+        }
+
+        const frameRate = this.options.frameRate || this.selector.getFrameRate() || DEFAULT_FRAME_RATE;
+        const selection = data.absolute;
+
+        // Output sizes follow the selection's aspect ratio when not given; encoders want even sizes
+        const ratio = selection.width / selection.height;
+        const outputWidth = width || (height ? height * ratio : selection.width);
+        const outputHeight = height || (width ? width / ratio : selection.height);
+        const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+        return {
+            start: from,
+            end: to,
+            frameRate: frameRate,
+            frameCount: Math.max(1, Math.round((to - from) * frameRate)),
+            width: even(outputWidth),
+            height: even(outputHeight),
+            selection: selection
+        };
+    }
+
+    /**
+     * Draw the selected area of the current frame to the canvas
+     * @param {Object} plan - Export plan
+     * @param {number} time - Time of the frame, for keyframed selections
+     * @private
+     */
+    _drawFrame(plan, time) {
+        const selection = this.selector.getSelectionAtTime(time, this.options.regionId) || plan.selection;
+        const target = fitToOutput(selection, plan, this.options.fit);
+
+        this.context.fillStyle = this.options.background;
+        this.context.fillRect(0, 0, plan.width, plan.height);
+        this.context.drawImage(
+            this.videoElement,
+            selection.left, selection.top, selection.width, selection.height,
+            target.left, target.top, target.width, target.height
+        );
+    }
+
+    /**
+     * Find a WebM encoder configuration WebCodecs supports
+     * @param {Object} plan - Export plan
+     * @returns {Promise<Object|null>} - {config, codecId}, or null without WebCodecs support
+     * @private
+     */
+    async _findEncoderConfig(plan) {
+        if (typeof VideoEncoder !== 'function' || typeof VideoFrame !== 'function') {
+            return null;
+        }
+
+        for (const {codec, codecId} of WEBM_CODECS) {
+            const config = {
+                codec: codec,
+                width: plan.width,
+                height: plan.height,
+                bitrate: this.options.bitrate,
+                framerate: plan.frameRate
+            };
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) {
+                    return { config: support.config, codecId: codecId };
+                }
+            } catch (error) {
+                // Invalid for this browser, try the next codec
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Seek to every frame in turn and encode it with WebCodecs. Slower than real time
+     * for large videos, but no frame is skipped.
+     * @param {Object} plan - Export plan
+     * @param {Object} encoderConfig - {config, codecId} from _findEncoderConfig()
+     * @returns {Promise<Blob>} - The WebM file
+     * @private
+     */
+    async _encodeWithWebCodecs(plan, {config, codecId}) {
+        const muxer = new WebmMuxer({ codecId: codecId, width: plan.width, height: plan.height });
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: chunk => muxer.addChunk(chunk),
+            error: error => { encoderError = error; }
+        });
+        encoder.configure(config);
+
+        const frameDuration = 1 / plan.frameRate;
+        const keyFrameInterval = Math.max(1, Math.round(KEYFRAME_INTERVAL * plan.frameRate));
+
+        try {
+            for (let frame = 0; frame < plan.frameCount; frame++) {
+                this._throwIfCancelled();
+                if (encoderError) throw encoderError;
+
+                // The middle of the frame, so the frame is shown even when the browser rounds the time
+                const time = Math.min(plan.start + (frame + 0.5) * frameDuration, plan.end);
+                await this._seek(time);
+                this._drawFrame(plan, time);
+
+                const videoFrame = new VideoFrame(this.canvas, {
+                    timestamp: Math.round(frame * frameDuration * 1e6),
+                    duration: Math.round(frameDuration * 1e6)
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % keyFrameInterval === 0 });
+                videoFrame.close();
+
+                while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                    await this._waitForDequeue(encoder);
+                }
+
+                this._reportProgress((frame + 1) / plan.frameCount, time);
+            }
+
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+
+        return muxer.finalize(plan.frameCount * frameDuration * 1000);
+    }
+
+    /**
+     * Wait until the encoder takes a frame from its queue, or the export is cancelled.
+     * Browsers without the dequeue event are polled.
+     * @param {VideoEncoder} encoder - The encoder
+     * @returns {Promise<void>} - Resolves when the queue may have shrunk
+     * @private
+     */
+    _waitForDequeue(encoder) {
+        return this._wait(resolve => {
+            const handleDequeue = () => resolve();
+            if ('ondequeue' in encoder) {
+                encoder.addEventListener('dequeue', handleDequeue);
+                return () => encoder.removeEventListener('dequeue', handleDequeue);
+            }
+
+            const timer = setTimeout(handleDequeue, DEQUEUE_POLL_INTERVAL);
+            return () => clearTimeout(timer);
+        });
+    }
+
+    /**
+     * Play the range and record the canvas it's drawn to. Runs in real time and
+     * may drop frames on slow machines.
+     * @param {Object} plan - Export plan
+     * @returns {Promise<Blob>} - The recorded file
+     * @private
+     */
+    async _encodeWithMediaRecorder(plan) {
+        const video = this.videoElement;
+        const mimeType = VideoAreaExporter._getRecorderType(this.options.format);
+        const stream = this.canvas.captureStream(plan.frameRate);
+        const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: this.options.bitrate });
+
+        const chunks = [];
+        recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+        await this._seek(plan.start);
+        this._drawFrame(plan, plan.start);
+        recorder.start();
+
+        try {
+            // Playing audio during the export isn't wanted, and would block autoplay
+            video.muted = true;
+            await video.play();
+
+            // No frame callback follows the last frame or a pause, so those end the recording too
+            await this._wait((resolve, reject) => {
+                let recording = true;
+                const handleStop = () => resolve();
+                const handleError = () => reject(new Error('VideoAreaExporter got a video error while recording'));
+                video.addEventListener('ended', handleStop);
+                video.addEventListener('pause', handleStop);
+                video.addEventListener('error', handleError);
+
+                const drawNext = () => {
+                    if (!recording) return;
+
+                    const time = video.currentTime;
+                    if (video.ended || time >= plan.end) {
+                        resolve();
+                        return;
+                    }
+
+                    this._drawFrame(plan, time);
+                    this._reportProgress((time - plan.start) / (plan.end - plan.start), time);
+                    this._requestFrame(drawNext);
+                };
+                this._requestFrame(drawNext);
+
+                return () => {
+                    recording = false;
+                    video.removeEventListener('ended', handleStop);
+                    video.removeEventListener('pause', handleStop);
+                    video.removeEventListener('error', handleError);
+                };
+            });
+        } finally {
+            video.pause();
+            recorder.stop();
+            await stopped;
+            stream.getTracks().forEach(track => track.stop());
+        }
+
+        this._throwIfCancelled();
+        this._reportProgress(1, plan.end);
+        return new Blob(chunks, { type: recorder.mimeType || mimeType });
+    }
+
+    /**
+     * Get the first MediaRecorder type that records a format
+     * @param {String} format - 'webm' or 'mp4'
+     * @returns {String|null} - MIME type, or null if the format can't be recorded
+     * @private
+     */
+    static _getRecorderType(format) {
+        if (typeof MediaRecorder !== 'function' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+            return null;
+        }
+        return (RECORDER_TYPES[format] || []).find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Call back when the next video frame is presented, or on the next animation frame
+     * @param {Function} callback - Function to call
+     * @private
+     */
+    _requestFrame(callback) {
+        if (typeof this.videoElement.requestVideoFrameCallback === 'function') {
+            this.videoElement.requestVideoFrameCallback(() => callback());
+        } else {
+            requestAnimationFrame(() => callback());
+        }
+    }
+}
+
+export default VideoAreaExporter;
@@ -0,0 +1,116 @@
+/**
+ * Geometry core of VideoAreaSelector, without DOM access
+ */
+
+import {
+  VideoAreaSelection,
+  VideoAreaSelectionCoordinates,
+  VideoAreaPoint,
+  VideoAreaShape,
+  VideoAreaAspectRatio,
+  VideoAreaAspectRatioValue,
+  VideoAreaConstraints,
+  VideoAreaConstraintViolation,
+  VideoAreaTransformOptions,
+  VideoAreaTransform,
+  VideoAreaKeyframe
+} from './video-area-selector.js';
+
+export interface VideoAreaGeometryConstraints extends VideoAreaConstraints {
+  videoWidth: number;
+  videoHeight: number;
+  /** Ratio to lock to, e.g. '16:9', 1.85 or { width: 16, height: 9 } */
+  aspectRatio?: VideoAreaAspectRatioValue | VideoAreaAspectRatio | null;
+  snapTo?: number | null;
+  grid?: number | null;
+  snapToEdges?: boolean;
+}
+
+export interface VideoAreaRect {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+export interface VideoAreaBounds {
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+}
+
+export interface VideoAreaContentLayout {
+  /** Displayed pixels per video pixel */
+  scale: { x: number, y: number };
+  /** The rendered video, relative to the element's border box */
+  content: VideoAreaRect;
+  /** The part of the rendered video inside the element */
+  visible: VideoAreaRect;
+}
+
+export interface VideoAreaContentLayoutOptions {
+  /** Content box of the element, relative to its border box */
+  box: VideoAreaRect;
+  videoWidth: number;
+  videoHeight: number;
+  objectFit?: string;
+  objectPosition?: string;
+  view?: { zoom: number, x: number, y: number };
+}
+
+export interface VideoAreaValidation {
+  /** True when the selection meets every constraint as it is */
+  valid: boolean;
+  /** The selection setSelection() would apply */
+  selection: VideoAreaSelection;
+  violations: VideoAreaConstraintViolation[];
+}
+
+export type VideoAreaHandle = 'nw' | 'ne' | 'sw' | 'se' | 'n' | 'e' | 's' | 'w';
+
+export function parseAspectRatio(value: VideoAreaAspectRatioValue | VideoAreaAspectRatio | null | undefined): VideoAreaAspectRatio | null;
+export function parseVideoTransform(transform?: VideoAreaTransformOptions | VideoAreaTransform): VideoAreaTransform;
+export function resolveObjectPosition(value: string, freeWidth: number, freeHeight: number): VideoAreaPoint;
+
+// Display ↔ source mapping
+export function getContentLayout(options: VideoAreaContentLayoutOptions): VideoAreaContentLayout | null;
+export function displayToSource(point: VideoAreaPoint, layout: VideoAreaContentLayout, videoWidth: number, videoHeight: number): VideoAreaPoint;
+export function sourceToDisplay(selection: VideoAreaSelection, layout: VideoAreaContentLayout): VideoAreaRect;
+/** Rectangle a selection is drawn to in an output frame of another size */
+export function fitToOutput(selection: Pick<VideoAreaSelection, 'width' | 'height'>, output: { width: number; height: number }, fit?: 'contain' | 'cover' | 'fill'): VideoAreaRect;
+
+// Constraints; violations, when given, collects the constraints that limited the result
+export function getBounds(constraints: VideoAreaGeometryConstraints): VideoAreaBounds;
+export function getSizeStep(constraints: Pick<VideoAreaGeometryConstraints, 'snapTo'>): number;
+export function getAspectRatioUnitStep(constraints: VideoAreaGeometryConstraints): number;
+export function snapLength(constraints: VideoAreaGeometryConstraints, length: number, maxLength: number, dimension: 'width' | 'height', violations?: VideoAreaConstraintViolation[]): number;
+export function sizeForAspectRatio(constraints: VideoAreaGeometryConstraints, width: number, height: number, maxWidth: number, maxHeight: number, cover: boolean, violations?: VideoAreaConstraintViolation[]): { width: number, height: number };
+export function clampSelection(constraints: VideoAreaGeometryConstraints, selection: VideoAreaSelection, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function fitAspectRatio(constraints: VideoAreaGeometryConstraints, selection: VideoAreaSelection, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function constrainSelection(constraints: VideoAreaGeometryConstraints, selection: VideoAreaSelection, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function validateSelection(constraints: VideoAreaGeometryConstraints, selection: VideoAreaSelection): VideoAreaValidation;
+
+// Drawing, resizing and moving
+export function rectFromAnchor(constraints: VideoAreaGeometryConstraints, anchorX: number, anchorY: number, dirX: 1 | -1, dirY: 1 | -1, width: number, height: number, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function rectFromEdge(constraints: VideoAreaGeometryConstraints, edge: 'n' | 'e' | 's' | 'w', point: VideoAreaPoint, start: VideoAreaSelection, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function resizeSelection(constraints: VideoAreaGeometryConstraints, handle: VideoAreaHandle, point: VideoAreaPoint, start: VideoAreaSelection, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+export function moveSelection(constraints: VideoAreaGeometryConstraints, start: VideoAreaSelection, dx: number, dy: number, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+
+// Snapping; thresholds are in original video pixels
+export function snapCoordinate(constraints: Pick<VideoAreaGeometryConstraints, 'grid' | 'snapToEdges'>, value: number, videoLength: number, threshold: number): number;
+export function snapPoint(constraints: VideoAreaGeometryConstraints, point: VideoAreaPoint, threshold: VideoAreaPoint): VideoAreaPoint;
+export function snapMovedSelection(constraints: VideoAreaGeometryConstraints, selection: VideoAreaSelection, threshold: VideoAreaPoint, violations?: VideoAreaConstraintViolation[]): VideoAreaSelection;
+
+// Shapes
+export function clampPoint(constraints: VideoAreaGeometryConstraints, point: VideoAreaPoint): VideoAreaPoint;
+export function outlineToPoints(outline: VideoAreaPoint[], selection: VideoAreaSelection): VideoAreaPoint[];
+export function pointsToOutline(constraints: VideoAreaGeometryConstraints, points: VideoAreaPoint[]): { selection: VideoAreaSelection, outline: VideoAreaPoint[] };
+export function containsPoint(selection: VideoAreaSelection, point: VideoAreaPoint, shape?: VideoAreaShape, outline?: VideoAreaPoint[] | null): boolean;
+
+// Conversions
+export function getSelectionCoordinates(selection: VideoAreaSelection, videoWidth: number, videoHeight: number): { absolute: VideoAreaSelectionCoordinates, relative: VideoAreaSelectionCoordinates };
+export function fromRelative(relative: VideoAreaSelection, videoWidth: number, videoHeight: number): VideoAreaSelection;
+export function getStorageSize(videoWidth: number, videoHeight: number, transform?: VideoAreaTransformOptions | VideoAreaTransform): { storageWidth: number, storageHeight: number };
+export function toStorage(selection: VideoAreaSelection, videoWidth: number, videoHeight: number, transform?: VideoAreaTransformOptions | VideoAreaTransform): VideoAreaSelectionCoordinates;
+export function interpolateTrack(track: VideoAreaKeyframe[], time: number): VideoAreaSelection | null;
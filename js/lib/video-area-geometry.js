@@ -0,0 +1,983 @@
+/**
+ * Geometry core of VideoAreaSelector - mapping, constraining and converting
+ * selections without any DOM access, so it runs in Node and workers as well
+ *
+ * Selections are {left, top, width, height} in original video pixels. Functions
+ * that constrain selections take a constraints object with:
+ * - videoWidth, videoHeight: Size of the video (required)
+ * - aspectRatio: Ratio to lock to, like '16:9', 1.85 or {width, height}
+ * - snapTo, grid, snapToEdges: Snapping options, as for VideoAreaSelector
+ * - minWidth, minHeight, maxWidth, maxHeight, bounds: Size and area constraints
+ * and an optional array that the constraints which limited the result are added to.
+ */
+
+/**
+ * Greatest common divisor of two whole numbers
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} - The greatest common divisor
+ */
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Least common multiple of two whole numbers
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} - The least common multiple
+ */
+function lcm(a, b) {
+    return a / gcd(a, b) * b;
+}
+
+/**
+ * Parse an aspect ratio into whole-number units
+ * @param {String|number|Object|null} value - A ratio like '16:9', '16/9', 1.85 or {width, height},
+ *   or a falsy value for no ratio
+ * @returns {Object|null} - Reduced units {width, height}, or null when no ratio is given
+ */
+export function parseAspectRatio(value) {
+    if (!value) return null;
+
+    let width = NaN;
+    let height = NaN;
+    let ratio = Number(value);
+
+    if (typeof value === 'object') {
+        ({width, height} = value);
+        ratio = width / height;
+    } else if (typeof value === 'string' && /[:/]/.test(value)) {
+        [width, height] = value.split(/[:/]/).map(Number);
+        ratio = width / height;
+    }
+
+    if (!Number.isInteger(width) || !Number.isInteger(height)) {
+        // Find the simplest fraction for a decimal ratio, e.g. 1.85 => 37:20
+        height = 1;
+        while (height < 100 && Math.abs(Math.round(ratio * height) / height - ratio) > 1e-4) {
+            height++;
+        }
+        width = Math.round(ratio * height);
+    }
+
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error(`VideoAreaSelector got an invalid aspect ratio: ${value}`);
+    }
+
+    const divisor = gcd(width, height);
+    return { width: width / divisor, height: height / divisor };
+}
+
+/**
+ * Validate how stored frames are transformed for display
+ * @param {Object} transform - Transform options
+ * @param {String|number|Object|null} transform.sampleAspectRatio - Sample (pixel) aspect ratio like '4:3' or 1.333
+ * @param {number} transform.rotation - Clockwise display rotation in degrees, a multiple of 90
+ * @param {String|null} transform.flip - 'horizontal' or 'vertical' to mirror the rotated frame
+ * @returns {Object} - Transform {sampleAspectRatio, rotation, flip} with the ratio as reduced units or null
+ */
+export function parseVideoTransform({sampleAspectRatio, rotation, flip} = {}) {
+    const degrees = ((Number(rotation) || 0) % 360 + 360) % 360;
+    if (degrees % 90 !== 0) {
+        throw new Error(`VideoAreaSelector got an invalid rotation: ${rotation}`);
+    }
+    if (flip && flip !== 'horizontal' && flip !== 'vertical') {
+        throw new Error(`VideoAreaSelector got an invalid flip: ${flip}`);
+    }
+
+    // Square samples need no scaling
+    const ratio = parseAspectRatio(sampleAspectRatio);
+    return {
+        sampleAspectRatio: ratio && ratio.width !== ratio.height ? ratio : null,
+        rotation: degrees,
+        flip: flip || null
+    };
+}
+
+/**
+ * Resolve a computed object-position value into offsets
+ * @param {String} value - Position like '50% 50%', 'left top' or '10px 20px'
+ * @param {number} freeWidth - Width of the element box minus the content width
+ * @param {number} freeHeight - Height of the element box minus the content height
+ * @returns {Object} - Offsets {x, y} of the content in CSS pixels
+ */
+export function resolveObjectPosition(value, freeWidth, freeHeight) {
+    const keywords = { left: '0%', center: '50%', right: '100%', top: '0%', bottom: '100%' };
+    let tokens = (value || '').trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 1) tokens.push('center');
+    if (tokens.length !== 2) tokens = ['50%', '50%'];
+
+    // Vertical keywords may come first
+    if (tokens[0] === 'top' || tokens[0] === 'bottom' || tokens[1] === 'left' || tokens[1] === 'right') {
+        tokens.reverse();
+    }
+
+    const resolve = (token, free) => {
+        const length = keywords[token] || token;
+        const number = parseFloat(length);
+        if (isNaN(number)) return free / 2;
+        return length.endsWith('%') ? free * number / 100 : number;
+    };
+
+    return { x: resolve(tokens[0], freeWidth), y: resolve(tokens[1], freeHeight) };
+}
+
+/**
+ * Get where video content is rendered inside its element. The content follows
+ * object-fit (videos are letterboxed by default) and object-position, so it can
+ * be smaller or larger than the element.
+ * @param {Object} layout - Layout of the element
+ * @param {Object} layout.box - Content box {left, top, width, height} of the element,
+ *   relative to its border box
+ * @param {number} layout.videoWidth - Width of the video
+ * @param {number} layout.videoHeight - Height of the video
+ * @param {String} [layout.objectFit] - Computed object-fit, defaults to 'contain'
+ * @param {String} [layout.objectPosition] - Computed object-position, defaults to centered
+ * @param {Object} [layout.view] - Zoom {zoom, x, y} applied to the element as a transform
+ * @returns {Object|null} - Layout {scale, content, visible}, where content is the
+ *   rendered video and visible the part of it inside the element, as
+ *   {left, top, width, height} relative to the element's border box.
+ *   Null when the element or the video has no size.
+ */
+export function getContentLayout({box, videoWidth, videoHeight, objectFit, objectPosition, view = { zoom: 1, x: 0, y: 0 }}) {
+    // Ensure we're not dividing by zero
+    if (!videoWidth || !videoHeight || box.width <= 0 || box.height <= 0) {
+        return null;
+    }
+
+    let scaleX = box.width / videoWidth;
+    let scaleY = box.height / videoHeight;
+    switch (objectFit || 'contain') {
+        case 'fill':
+            break;
+        case 'cover':
+            scaleX = scaleY = Math.max(scaleX, scaleY);
+            break;
+        case 'none':
+            scaleX = scaleY = 1;
+            break;
+        case 'scale-down':
+            scaleX = scaleY = Math.min(1, scaleX, scaleY);
+            break;
+        default:
+            scaleX = scaleY = Math.min(scaleX, scaleY);
+    }
+
+    const width = videoWidth * scaleX;
+    const height = videoHeight * scaleY;
+    const offset = resolveObjectPosition(objectPosition, box.width - width, box.height - height);
+
+    // Content overflowing the content box is clipped (cover and none)
+    const intersect = (a, b) => {
+        const left = Math.max(a.left, b.left);
+        const top = Math.max(a.top, b.top);
+        return {
+            left: left,
+            top: top,
+            width: Math.max(0, Math.min(a.left + a.width, b.left + b.width) - left),
+            height: Math.max(0, Math.min(a.top + a.height, b.top + b.height) - top)
+        };
+    };
+    const content = { left: box.left + offset.x, top: box.top + offset.y, width, height };
+    const shown = intersect(content, box);
+
+    // Zooming scales the element and pans it; its container clips it to its box
+    const { zoom, x, y } = view;
+    const transform = rect => ({
+        left: x + rect.left * zoom,
+        top: y + rect.top * zoom,
+        width: rect.width * zoom,
+        height: rect.height * zoom
+    });
+
+    return {
+        scale: { x: scaleX * zoom, y: scaleY * zoom },
+        content: transform(content),
+        visible: intersect(transform(shown), box)
+    };
+}
+
+/**
+ * Convert a position on the element to original video coordinates. Positions
+ * outside the visible content are moved onto its edge.
+ * @param {Object} point - Point {x, y} relative to the element's border box
+ * @param {Object} layout - Layout from getContentLayout()
+ * @param {number} videoWidth - Width of the video
+ * @param {number} videoHeight - Height of the video
+ * @returns {Object} - Point {x, y} in original video coordinates
+ */
+export function displayToSource(point, layout, videoWidth, videoHeight) {
+    const { scale, content, visible } = layout;
+    const x = Math.min(Math.max(visible.left, point.x), visible.left + visible.width);
+    const y = Math.min(Math.max(visible.top, point.y), visible.top + visible.height);
+    return {
+        x: Math.min(Math.max(0, (x - content.left) / scale.x), videoWidth),
+        y: Math.min(Math.max(0, (y - content.top) / scale.y), videoHeight)
+    };
+}
+
+/**
+ * Convert a selection to the rectangle it covers on the element
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {Object} layout - Layout from getContentLayout()
+ * @returns {Object} - Rectangle {left, top, width, height} in CSS pixels, relative to the element's border box
+ */
+export function sourceToDisplay({left, top, width, height}, layout) {
+    const { scale, content } = layout;
+    return {
+        left: content.left + left * scale.x,
+        top: content.top + top * scale.y,
+        width: width * scale.x,
+        height: height * scale.y
+    };
+}
+
+/**
+ * Get where a selection is drawn in an output frame of another size, as when
+ * the cropped area is scaled for delivery
+ * @param {Object} selection - Selection {width, height} being drawn
+ * @param {Object} output - Output size {width, height}
+ * @param {String} fit - 'contain' (letterboxed), 'cover' (cropped) or 'fill' (stretched)
+ * @returns {Object} - Rectangle {left, top, width, height} in output pixels
+ */
+export function fitToOutput({width, height}, output, fit = 'contain') {
+    if (fit === 'fill') {
+        return { left: 0, top: 0, width: output.width, height: output.height };
+    }
+
+    const scaleX = output.width / width;
+    const scaleY = output.height / height;
+    const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+    return {
+        left: (output.width - width * scale) / 2,
+        top: (output.height - height * scale) / 2,
+        width: width * scale,
+        height: height * scale
+    };
+}
+
+/**
+ * Note a constraint that limited a selection, once per constraint and property
+ * @param {Array<Object>|undefined} violations - Violations found so far, if they are collected
+ * @param {String} constraint - 'minWidth', 'minHeight', 'maxWidth', 'maxHeight' or 'bounds'
+ * @param {String} property - The limited property: 'left', 'top', 'width' or 'height'
+ * @param {number} requested - The requested value
+ * @param {number} limit - The value the constraint allows
+ */
+function addViolation(violations, constraint, property, requested, limit) {
+    if (!violations) return;
+
+    const known = violations.some(violation =>
+        violation.constraint === constraint && violation.property === property);
+    if (!known) {
+        violations.push({ constraint, property, requested, limit });
+    }
+}
+
+/**
+ * Get the area selections must stay inside, which is the bounds constraint
+ * limited to the video
+ * @param {Object} constraints - Constraints with the video size and bounds
+ * @returns {Object} - Area {left, top, right, bottom} in original video coordinates
+ */
+export function getBounds({videoWidth, videoHeight, bounds}) {
+    if (!bounds) {
+        return { left: 0, top: 0, right: videoWidth, bottom: videoHeight };
+    }
+
+    const left = Math.min(Math.max(0, Math.round(bounds.left)), videoWidth);
+    const top = Math.min(Math.max(0, Math.round(bounds.top)), videoHeight);
+    return {
+        left: left,
+        top: top,
+        right: Math.min(Math.max(left, Math.round(bounds.left + bounds.width)), videoWidth),
+        bottom: Math.min(Math.max(top, Math.round(bounds.top + bounds.height)), videoHeight)
+    };
+}
+
+/**
+ * Get the step that widths and heights are multiples of
+ * @param {Object} constraints - Constraints with snapTo
+ * @returns {number} - snapTo, or 1 when sizes aren't snapped
+ */
+export function getSizeStep({snapTo}) {
+    return snapTo > 1 ? Math.round(snapTo) : 1;
+}
+
+/**
+ * Get the number of aspect ratio units that keeps both sides multiples of snapTo
+ * @param {Object} constraints - Constraints with aspectRatio and snapTo
+ * @returns {number} - Step in ratio units, e.g. 2 for 16:9 with snapTo 2 (32×18)
+ */
+export function getAspectRatioUnitStep(constraints) {
+    const ratio = parseAspectRatio(constraints.aspectRatio);
+    const step = getSizeStep(constraints);
+    return lcm(step / gcd(step, ratio.width), step / gcd(step, ratio.height));
+}
+
+/**
+ * Round a requested width or height to the size step and limit it to the
+ * size constraints and the available room. Minimum sizes win over the
+ * available room, but not over the bounds.
+ * @param {Object} constraints - Selection constraints
+ * @param {number} length - Requested length
+ * @param {number} maxLength - Available length
+ * @param {String} dimension - 'width' or 'height'
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the length
+ * @returns {number} - Whole-pixel length, at least one step
+ */
+export function snapLength(constraints, length, maxLength, dimension, violations) {
+    const step = getSizeStep(constraints);
+    const horizontal = dimension === 'width';
+    const bounds = getBounds(constraints);
+    const area = horizontal ? bounds.right - bounds.left : bounds.bottom - bounds.top;
+    const minOption = horizontal ? constraints.minWidth : constraints.minHeight;
+    const maxOption = horizontal ? constraints.maxWidth : constraints.maxHeight;
+
+    const snapped = Math.round(length / step) * step;
+    const min = minOption > 0 ? Math.min(Math.ceil(minOption / step) * step, Math.floor(area / step) * step) : step;
+    const room = Math.floor(maxLength / step) * step;
+    const max = maxOption > 0 ? Math.min(Math.floor(maxOption / step) * step, room) : room;
+
+    if (minOption > 0 && snapped < minOption) {
+        addViolation(violations, horizontal ? 'minWidth' : 'minHeight', dimension, snapped, minOption);
+    }
+    if (maxOption > 0 && snapped > maxOption) {
+        addViolation(violations, horizontal ? 'maxWidth' : 'maxHeight', dimension, snapped, maxOption);
+    } else if (snapped > room && constraints.bounds) {
+        addViolation(violations, 'bounds', dimension, snapped, room);
+    }
+
+    return Math.max(step, min, Math.min(snapped, max));
+}
+
+/**
+ * Find a size of the locked aspect ratio for a requested size. Sizes are
+ * whole multiples of the ratio, so the ratio is exact in original video pixels.
+ * Minimum sizes win over the available room, but not over the bounds.
+ * @param {Object} constraints - Selection constraints with aspectRatio
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @param {number} maxWidth - Available width
+ * @param {number} maxHeight - Available height
+ * @param {boolean} cover - Grow to cover the requested size instead of fitting inside it
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the size
+ * @returns {Object} - Size {width, height}
+ */
+export function sizeForAspectRatio(constraints, width, height, maxWidth, maxHeight, cover, violations) {
+    const ratio = parseAspectRatio(constraints.aspectRatio);
+    const unitStep = getAspectRatioUnitStep(constraints);
+    const bounds = getBounds(constraints);
+    const {minWidth, minHeight} = constraints;
+    const optionMaxWidth = constraints.maxWidth > 0 ? constraints.maxWidth : Infinity;
+    const optionMaxHeight = constraints.maxHeight > 0 ? constraints.maxHeight : Infinity;
+    const floorUnits = units => Math.floor(units / unitStep) * unitStep;
+
+    const requestedUnits = Math.round((cover
+        ? Math.max(width / ratio.width, height / ratio.height)
+        : Math.min(width / ratio.width, height / ratio.height)) / unitStep) * unitStep;
+    const roomUnits = floorUnits(Math.min(maxWidth / ratio.width, maxHeight / ratio.height));
+    const optionMaxUnits = floorUnits(Math.min(optionMaxWidth / ratio.width, optionMaxHeight / ratio.height));
+    const areaUnits = floorUnits(Math.min(
+        (bounds.right - bounds.left) / ratio.width,
+        (bounds.bottom - bounds.top) / ratio.height
+    ));
+    const minUnits = Math.min(areaUnits, Math.ceil(Math.max(
+        minWidth > 0 ? minWidth / ratio.width : 0,
+        minHeight > 0 ? minHeight / ratio.height : 0
+    ) / unitStep) * unitStep);
+
+    const requestedWidth = requestedUnits * ratio.width;
+    const requestedHeight = requestedUnits * ratio.height;
+    if (minWidth > 0 && requestedWidth < minWidth) {
+        addViolation(violations, 'minWidth', 'width', requestedWidth, minWidth);
+    }
+    if (minHeight > 0 && requestedHeight < minHeight) {
+        addViolation(violations, 'minHeight', 'height', requestedHeight, minHeight);
+    }
+    if (requestedWidth > optionMaxWidth) {
+        addViolation(violations, 'maxWidth', 'width', requestedWidth, optionMaxWidth);
+    }
+    if (requestedHeight > optionMaxHeight) {
+        addViolation(violations, 'maxHeight', 'height', requestedHeight, optionMaxHeight);
+    }
+    if (requestedUnits > roomUnits && roomUnits < optionMaxUnits && constraints.bounds) {
+        addViolation(violations, 'bounds', 'width', requestedWidth, roomUnits * ratio.width);
+    }
+
+    const units = Math.max(unitStep, minUnits, Math.min(requestedUnits, roomUnits, optionMaxUnits));
+
+    return {
+        width: units * ratio.width,
+        height: units * ratio.height
+    };
+}
+
+/**
+ * Move and resize a selection so it lies inside the bounds and meets the size constraints
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - The constrained selection
+ */
+export function clampSelection(constraints, {left, top, width, height}, violations) {
+    const bounds = getBounds(constraints);
+    const constrainedWidth = snapLength(constraints, width, bounds.right - bounds.left, 'width', violations);
+    const constrainedHeight = snapLength(constraints, height, bounds.bottom - bounds.top, 'height', violations);
+    const constrainedLeft = Math.min(Math.max(bounds.left, left), bounds.right - constrainedWidth);
+    const constrainedTop = Math.min(Math.max(bounds.top, top), bounds.bottom - constrainedHeight);
+
+    if (constraints.bounds) {
+        if (constrainedLeft !== left) {
+            addViolation(violations, 'bounds', 'left', left, constrainedLeft);
+        }
+        if (constrainedTop !== top) {
+            addViolation(violations, 'bounds', 'top', top, constrainedTop);
+        }
+    }
+
+    return {
+        left: constrainedLeft,
+        top: constrainedTop,
+        width: constrainedWidth,
+        height: constrainedHeight
+    };
+}
+
+/**
+ * Shrink a selection around its center to the locked aspect ratio
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - The fitted selection, unchanged without an aspect ratio
+ */
+export function fitAspectRatio(constraints, selection, violations) {
+    if (!constraints.aspectRatio) return selection;
+
+    const bounds = getBounds(constraints);
+    const size = sizeForAspectRatio(
+        constraints,
+        selection.width, selection.height,
+        bounds.right - bounds.left, bounds.bottom - bounds.top, false,
+        violations
+    );
+
+    return clampSelection(constraints, {
+        left: Math.round(selection.left + (selection.width - size.width) / 2),
+        top: Math.round(selection.top + (selection.height - size.height) / 2),
+        width: size.width,
+        height: size.height
+    }, violations);
+}
+
+/**
+ * Fit a requested selection to the bounds, the size constraints and the locked
+ * aspect ratio, the way setSelection() does
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} selection - Selection with left, top, width and height
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - Selection with whole-pixel left, top, width and height
+ */
+export function constrainSelection(constraints, {left, top, width, height}, violations) {
+    const bounds = getBounds(constraints);
+    return fitAspectRatio(constraints, clampSelection(constraints, {
+        left: Math.round(left),
+        top: Math.round(top),
+        width: snapLength(constraints, width, bounds.right - bounds.left, 'width', violations),
+        height: snapLength(constraints, height, bounds.bottom - bounds.top, 'height', violations)
+    }, violations), violations);
+}
+
+/**
+ * Check a selection against the constraints, e.g. one sent by a client
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} selection - Selection with left, top, width and height
+ * @returns {Object} - Result {valid, selection, violations}: valid when the selection
+ *   meets every constraint as it is, with the selection setSelection() would apply
+ *   and the constraints that limited it
+ */
+export function validateSelection(constraints, selection) {
+    const violations = [];
+    const constrained = constrainSelection(constraints, selection, violations);
+    const valid = ['left', 'top', 'width', 'height'].every(key => constrained[key] === selection[key]);
+    return { valid, selection: constrained, violations };
+}
+
+/**
+ * Build a selection that grows from a fixed corner, honoring the locked
+ * aspect ratio and the bounds
+ * @param {Object} constraints - Selection constraints
+ * @param {number} anchorX - X of the fixed corner in original video coordinates
+ * @param {number} anchorY - Y of the fixed corner in original video coordinates
+ * @param {number} dirX - 1 to grow to the right, -1 to grow to the left
+ * @param {number} dirY - 1 to grow downwards, -1 to grow upwards
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - Selection with whole-pixel left, top, width and height
+ */
+export function rectFromAnchor(constraints, anchorX, anchorY, dirX, dirY, width, height, violations) {
+    const bounds = getBounds(constraints);
+    const x = Math.min(Math.max(bounds.left, Math.round(anchorX)), bounds.right);
+    const y = Math.min(Math.max(bounds.top, Math.round(anchorY)), bounds.bottom);
+
+    // Room between the anchor and the bounds in the growing direction
+    const maxWidth = Math.max(1, dirX > 0 ? bounds.right - x : x - bounds.left);
+    const maxHeight = Math.max(1, dirY > 0 ? bounds.bottom - y : y - bounds.top);
+
+    let size;
+    if (constraints.aspectRatio) {
+        size = sizeForAspectRatio(constraints, width, height, maxWidth, maxHeight, true, violations);
+    } else {
+        size = {
+            width: snapLength(constraints, width, maxWidth, 'width', violations),
+            height: snapLength(constraints, height, maxHeight, 'height', violations)
+        };
+    }
+
+    return clampSelection(constraints, {
+        left: dirX > 0 ? x : x - size.width,
+        top: dirY > 0 ? y : y - size.height,
+        width: size.width,
+        height: size.height
+    }, violations);
+}
+
+/**
+ * Build a selection with one side moved by an edge handle. With a locked
+ * aspect ratio, the other dimension follows around its center.
+ * @param {Object} constraints - Selection constraints
+ * @param {String} edge - The edge handle: 'n', 'e', 's' or 'w'
+ * @param {Object} point - Pointer position {x, y} in original video coordinates
+ * @param {Object} start - Selection when the resize started
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - Selection with whole-pixel left, top, width and height
+ */
+export function rectFromEdge(constraints, edge, point, start, violations) {
+    const horizontal = edge === 'e' || edge === 'w';
+    const dir = edge === 'e' || edge === 's' ? 1 : -1;
+
+    // The opposite edge stays fixed
+    const anchor = horizontal
+        ? (dir > 0 ? start.left : start.left + start.width)
+        : (dir > 0 ? start.top : start.top + start.height);
+    const length = ((horizontal ? point.x : point.y) - anchor) * dir;
+    const bounds = getBounds(constraints);
+    const maxLength = Math.max(1, dir > 0
+        ? (horizontal ? bounds.right : bounds.bottom) - anchor
+        : anchor - (horizontal ? bounds.left : bounds.top));
+
+    let width = start.width;
+    let height = start.height;
+    let center = null;
+
+    if (constraints.aspectRatio) {
+        // The other dimension grows around its center as far as the bounds allow
+        center = horizontal ? start.top + start.height / 2 : start.left + start.width / 2;
+        const maxCross = horizontal
+            ? 2 * Math.min(center - bounds.top, bounds.bottom - center)
+            : 2 * Math.min(center - bounds.left, bounds.right - center);
+        const size = horizontal
+            ? sizeForAspectRatio(constraints, length, 0, maxLength, maxCross, true, violations)
+            : sizeForAspectRatio(constraints, 0, length, maxCross, maxLength, true, violations);
+        width = size.width;
+        height = size.height;
+    } else if (horizontal) {
+        width = snapLength(constraints, length, maxLength, 'width', violations);
+    } else {
+        height = snapLength(constraints, length, maxLength, 'height', violations);
+    }
+
+    if (horizontal) {
+        return clampSelection(constraints, {
+            left: dir > 0 ? anchor : anchor - width,
+            top: center === null ? start.top : Math.round(center - height / 2),
+            width: width,
+            height: height
+        }, violations);
+    }
+
+    return clampSelection(constraints, {
+        left: center === null ? start.left : Math.round(center - width / 2),
+        top: dir > 0 ? anchor : anchor - height,
+        width: width,
+        height: height
+    }, violations);
+}
+
+/**
+ * Resize a selection by dragging one of its handles to a point
+ * @param {Object} constraints - Selection constraints
+ * @param {String} handle - Corner handle 'nw', 'ne', 'sw' or 'se', or edge handle 'n', 'e', 's' or 'w'
+ * @param {Object} point - Handle position {x, y} in original video coordinates
+ * @param {Object} start - Selection when the resize started
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - Selection with whole-pixel left, top, width and height
+ */
+export function resizeSelection(constraints, handle, point, start, violations) {
+    // Edge handles resize a single side
+    if (handle.length === 1) {
+        return rectFromEdge(constraints, handle, point, start, violations);
+    }
+
+    // The corner opposite the handle stays fixed
+    const dirX = handle.includes('w') ? -1 : 1;
+    const dirY = handle.includes('n') ? -1 : 1;
+    const anchorX = dirX < 0 ? start.left + start.width : start.left;
+    const anchorY = dirY < 0 ? start.top + start.height : start.top;
+
+    // Sizes below 1px are clamped, so a handle can't be dragged past its anchor
+    return rectFromAnchor(
+        constraints, anchorX, anchorY, dirX, dirY,
+        (point.x - anchorX) * dirX, (point.y - anchorY) * dirY,
+        violations
+    );
+}
+
+/**
+ * Move a selection by a distance, keeping it inside the bounds
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} start - Selection before the move
+ * @param {number} dx - Horizontal distance in original video pixels
+ * @param {number} dy - Vertical distance in original video pixels
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - The moved selection
+ */
+export function moveSelection(constraints, start, dx, dy, violations) {
+    return clampSelection(constraints, {
+        left: Math.round(start.left + dx),
+        top: Math.round(start.top + dy),
+        width: start.width,
+        height: start.height
+    }, violations);
+}
+
+/**
+ * Snap a coordinate to the nearest video edge or center line within
+ * the threshold, or else to the grid
+ * @param {Object} constraints - Constraints with grid and snapToEdges
+ * @param {number} value - Coordinate in original video pixels
+ * @param {number} videoLength - Video width or height
+ * @param {number} threshold - Magnetic snapping distance in original video pixels
+ * @returns {number} - The snapped coordinate
+ */
+export function snapCoordinate({grid, snapToEdges}, value, videoLength, threshold) {
+    if (snapToEdges) {
+        const line = [0, videoLength / 2, videoLength]
+            .filter(l => Math.abs(value - l) <= threshold)
+            .sort((a, b) => Math.abs(value - a) - Math.abs(value - b))[0];
+        if (line !== undefined) {
+            return line;
+        }
+    }
+
+    if (grid > 0) {
+        return Math.min(Math.round(value / grid) * grid, videoLength);
+    }
+
+    return value;
+}
+
+/**
+ * Snap a point that drives an edge or corner
+ * @param {Object} constraints - Constraints with the video size, grid and snapToEdges
+ * @param {Object} point - Point {x, y} in original video coordinates
+ * @param {Object} threshold - Magnetic snapping distances {x, y} in original video pixels
+ * @returns {Object} - The snapped point
+ */
+export function snapPoint(constraints, point, threshold) {
+    return {
+        x: snapCoordinate(constraints, point.x, constraints.videoWidth, threshold.x),
+        y: snapCoordinate(constraints, point.y, constraints.videoHeight, threshold.y)
+    };
+}
+
+/**
+ * Snap a moved selection so that one of its edges or its center lines up
+ * with a video edge or center line, or else its top-left corner with the grid
+ * @param {Object} constraints - Selection constraints
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {Object} threshold - Magnetic snapping distances {x, y} in original video pixels
+ * @param {Array<Object>} [violations] - Collects the constraints that limited the selection
+ * @returns {Object} - The snapped selection
+ */
+export function snapMovedSelection(constraints, selection, threshold, violations) {
+    const {grid, snapToEdges} = constraints;
+
+    const snapAxis = (start, length, videoLength, axisThreshold) => {
+        if (snapToEdges) {
+            // Positions that put the start edge, end edge or center on a line
+            const candidates = [0, videoLength / 2, videoLength]
+                .flatMap(line => [line, line - length, line - length / 2])
+                .map(Math.round)
+                .filter(position => position >= 0 && position + length <= videoLength &&
+                    Math.abs(position - start) <= axisThreshold)
+                .sort((a, b) => Math.abs(a - start) - Math.abs(b - start));
+            if (candidates.length > 0) {
+                return candidates[0];
+            }
+        }
+
+        if (grid > 0) {
+            return Math.round(start / grid) * grid;
+        }
+
+        return start;
+    };
+
+    return clampSelection(constraints, {
+        left: snapAxis(selection.left, selection.width, constraints.videoWidth, threshold.x),
+        top: snapAxis(selection.top, selection.height, constraints.videoHeight, threshold.y),
+        width: selection.width,
+        height: selection.height
+    }, violations);
+}
+
+/**
+ * Round a point and move it inside the bounds
+ * @param {Object} constraints - Constraints with the video size and bounds
+ * @param {Object} point - Point {x, y} in original video coordinates
+ * @returns {Object} - The constrained point
+ */
+export function clampPoint(constraints, {x, y}) {
+    const bounds = getBounds(constraints);
+    return {
+        x: Math.min(Math.max(bounds.left, Math.round(x)), bounds.right),
+        y: Math.min(Math.max(bounds.top, Math.round(y)), bounds.bottom)
+    };
+}
+
+/**
+ * Get the vertices of a polygon from its outline
+ * @param {Array<Object>} outline - Vertices {x, y} relative to the selection, from 0 to 1
+ * @param {Object} selection - Bounding box of the polygon
+ * @returns {Array<Object>} - Vertices {x, y} in original video coordinates
+ */
+export function outlineToPoints(outline, {left, top, width, height}) {
+    return outline.map(point => ({
+        x: Math.round(left + point.x * width),
+        y: Math.round(top + point.y * height)
+    }));
+}
+
+/**
+ * Build a polygon from its vertices. The selection is the bounding box of the
+ * vertices, and the outline is relative to that box, so moving or resizing the
+ * box moves or scales the polygon.
+ * @param {Object} constraints - Constraints with the video size and bounds
+ * @param {Array<Object>} points - Vertices {x, y} in original video coordinates
+ * @returns {Object} - Polygon {selection, outline}, with the vertices moved inside the bounds
+ */
+export function pointsToOutline(constraints, points) {
+    const bounds = getBounds(constraints);
+    const vertices = points.map(point => clampPoint(constraints, point));
+    const xs = vertices.map(point => point.x);
+    const ys = vertices.map(point => point.y);
+    const left = Math.min(Math.min(...xs), Math.max(bounds.left, bounds.right - 1));
+    const top = Math.min(Math.min(...ys), Math.max(bounds.top, bounds.bottom - 1));
+    const width = Math.max(1, Math.max(...xs) - left);
+    const height = Math.max(1, Math.max(...ys) - top);
+
+    return {
+        selection: { left, top, width, height },
+        outline: vertices.map(point => ({
+            x: (point.x - left) / width,
+            y: (point.y - top) / height
+        }))
+    };
+}
+
+/**
+ * Check whether a point lies inside a selection of a shape
+ * @param {Object} selection - Selection (bounding box) in original video coordinates
+ * @param {Object} point - Point {x, y} in original video coordinates
+ * @param {String} [shape] - 'rectangle', 'ellipse' or 'polygon', defaults to 'rectangle'
+ * @param {Array<Object>} [outline] - Polygon outline relative to the selection
+ * @returns {boolean} - True when the point is inside the rectangle, ellipse or polygon
+ */
+export function containsPoint(selection, {x, y}, shape = 'rectangle', outline = null) {
+    const {left, top, width, height} = selection;
+    if (x < left || x > left + width || y < top || y > top + height) {
+        return false;
+    }
+
+    if (shape === 'ellipse') {
+        const dx = (x - left - width / 2) / (width / 2);
+        const dy = (y - top - height / 2) / (height / 2);
+        return dx * dx + dy * dy <= 1;
+    }
+
+    if (shape === 'polygon' && outline) {
+        // Count the edges crossed by a ray from the point to the right
+        const points = outlineToPoints(outline, selection);
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    return true;
+}
+
+/**
+ * Get the absolute and relative coordinates of a selection
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {number} videoWidth - Width of the video
+ * @param {number} videoHeight - Height of the video
+ * @returns {Object} - Coordinates {absolute, relative}, each with left, top, width,
+ *   height and the right and bottom margins; relative values are from 0 to 1
+ */
+export function getSelectionCoordinates({left, top, width, height}, videoWidth, videoHeight) {
+    const right = videoWidth - (left + width);
+    const bottom = videoHeight - (top + height);
+
+    return {
+        absolute: {
+            left: left,
+            top: top,
+            width: width,
+            height: height,
+            right: right,
+            bottom: bottom
+        },
+        // Relative coordinates (0..1)
+        relative: {
+            left: +(left / videoWidth).toFixed(6),
+            top: +(top / videoHeight).toFixed(6),
+            width: +(width / videoWidth).toFixed(6),
+            height: +(height / videoHeight).toFixed(6),
+            right: +(right / videoWidth).toFixed(6),
+            bottom: +(bottom / videoHeight).toFixed(6)
+        }
+    };
+}
+
+/**
+ * Convert relative coordinates back to a selection in original video pixels
+ * @param {Object} relative - Relative left, top, width and height, from 0 to 1
+ * @param {number} videoWidth - Width of the video
+ * @param {number} videoHeight - Height of the video
+ * @returns {Object} - Selection with whole-pixel left, top, width and height
+ */
+export function fromRelative({left, top, width, height}, videoWidth, videoHeight) {
+    const x = Math.round(left * videoWidth);
+    const y = Math.round(top * videoHeight);
+    return {
+        left: x,
+        top: y,
+        width: Math.round((left + width) * videoWidth) - x,
+        height: Math.round((top + height) * videoHeight) - y
+    };
+}
+
+/**
+ * Get the size of the stored frames
+ * @param {number} videoWidth - Displayed width of the video
+ * @param {number} videoHeight - Displayed height of the video
+ * @param {Object} [transform] - Transform {sampleAspectRatio, rotation, flip} of the stored frames
+ * @returns {Object} - Size {storageWidth, storageHeight} in stored pixels
+ */
+export function getStorageSize(videoWidth, videoHeight, transform) {
+    const {sampleAspectRatio, rotation} = parseVideoTransform(transform);
+    const rotated = rotation === 90 || rotation === 270;
+
+    // Undo the rotation, then the horizontal scaling of non-square samples
+    const width = rotated ? videoHeight : videoWidth;
+    const height = rotated ? videoWidth : videoHeight;
+    return {
+        storageWidth: sampleAspectRatio
+            ? Math.round(width * sampleAspectRatio.height / sampleAspectRatio.width)
+            : width,
+        storageHeight: height
+    };
+}
+
+/**
+ * Convert a selection from display space (what the video element shows and
+ * videoWidth/videoHeight describe) to the pixels of the stored frames
+ * @param {Object} selection - Selection in original video coordinates
+ * @param {number} videoWidth - Displayed width of the video
+ * @param {number} videoHeight - Displayed height of the video
+ * @param {Object} [transform] - Transform {sampleAspectRatio, rotation, flip} of the stored frames
+ * @returns {Object} - Selection {left, top, width, height, right, bottom} in stored pixels
+ */
+export function toStorage({left, top, width, height}, videoWidth, videoHeight, transform) {
+    const {sampleAspectRatio, rotation, flip} = parseVideoTransform(transform);
+
+    // Undo the flip, which is applied last
+    if (flip === 'horizontal') left = videoWidth - left - width;
+    if (flip === 'vertical') top = videoHeight - top - height;
+
+    // Undo the clockwise rotation
+    let rect;
+    switch (rotation) {
+        case 90:
+            rect = { left: top, top: videoWidth - left - width, width: height, height: width };
+            break;
+        case 180:
+            rect = { left: videoWidth - left - width, top: videoHeight - top - height, width, height };
+            break;
+        case 270:
+            rect = { left: videoHeight - top - height, top: left, width: height, height: width };
+            break;
+        default:
+            rect = { left, top, width, height };
+    }
+
+    // Undo the horizontal scaling of non-square samples, rounding the edges
+    const {storageWidth, storageHeight} = getStorageSize(videoWidth, videoHeight, transform);
+    if (sampleAspectRatio) {
+        const scale = sampleAspectRatio.height / sampleAspectRatio.width;
+        const right = Math.min(storageWidth, Math.round((rect.left + rect.width) * scale));
+        rect.left = Math.min(right, Math.round(rect.left * scale));
+        rect.width = right - rect.left;
+    }
+
+    return {
+        ...rect,
+        right: storageWidth - (rect.left + rect.width),
+        bottom: storageHeight - (rect.top + rect.height)
+    };
+}
+
+/**
+ * Get the selection of a keyframe track at a time, interpolated linearly
+ * between the surrounding keyframes
+ * @param {Array<Object>} track - Keyframes {time, left, top, width, height} sorted by time
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} - Selection in original video coordinates, or null if there are no keyframes
+ */
+export function interpolateTrack(track, time) {
+    if (track.length === 0) return null;
+
+    const first = track[0];
+    const last = track[track.length - 1];
+    let from = first;
+    let to = first;
+
+    if (time >= last.time) {
+        from = to = last;
+    } else if (time > first.time) {
+        const nextIndex = track.findIndex(k => k.time > time);
+        from = track[nextIndex - 1];
+        to = track[nextIndex];
+    }
+
+    // Linear interpolation between the surrounding keyframes
+    const t = to.time > from.time ? (time - from.time) / (to.time - from.time) : 0;
+    const lerp = (a, b) => Math.round(a + (b - a) * t);
+
+    return {
+        left: lerp(from.left, to.left),
+        top: lerp(from.top, to.top),
+        width: lerp(from.width, to.width),
+        height: lerp(from.height, to.height)
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * VideoAreaMediaTask - Base of the classes that seek through a selector's media in
+ * long-running, cancellable tasks (VideoAreaExporter and VideoAreaAnalyzer)
+ */
+
+// Milliseconds a seek may take before the task gives up
+export const SEEK_TIMEOUT = 10000;
+
+export class VideoAreaMediaTask {
+    /**
+     * Set up the task state. Subclasses set this.mediaElement to the media that is
+     * seeked and keep their options in this.options, with an optional onProgress callback.
+     * @param {String} name - Class name, used in error messages
+     * @param {String} taskName - What a task is called in the cancel error, e.g. 'export'
+     */
+    constructor(name, taskName) {
+        this.mediaElement = null;
+        this.options = {};
+        this._name = name;
+        this._taskName = taskName;
+        this._running = false;
+        this._cancelled = false;
+        this._stopWaiting = null;
+    }
+
+    /**
+     * Stop the running task; its promise rejects with an AbortError
+     * @returns {VideoAreaMediaTask} - Returns this for method chaining
+     */
+    cancel() {
+        if (this._running) {
+            this._cancelled = true;
+            if (this._stopWaiting) {
+                this._stopWaiting();
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Wait for an event of the media or an encoder, ending early when the task is cancelled
+     * @param {Function} setup - Called with (resolve, reject) to add listeners; returns a
+     *   function that removes them
+     * @returns {Promise<*>} - Settles as setup settles it, or rejects with an AbortError on cancel()
+     * @private
+     */
+    _wait(setup) {
+        return new Promise((resolve, reject) => {
+            let done = false;
+            let cleanup = null;
+            const finish = (settle, value) => {
+                if (done) return;
+                done = true;
+                this._stopWaiting = null;
+                if (cleanup) cleanup();
+                settle(value);
+            };
+
+            this._stopWaiting = () => finish(reject, this._createAbortError());
+            cleanup = setup(value => finish(resolve, value), error => finish(reject, error));
+
+            // Settled while setting up, before the cleanup was known
+            if (done) cleanup();
+        });
+    }
+
+    /**
+     * Seek the media and wait until the frame is available
+     * @param {number} time - Time in seconds
+     * @returns {Promise<void>} - Resolves once seeked; rejects when the seek fails or
+     *   times out, and with an AbortError when the task is cancelled
+     * @private
+     */
+    _seek(time) {
+        const media = this.mediaElement;
+        return this._wait((resolve, reject) => {
+            const handleSeeked = () => resolve();
+            const handleError = () => reject(new Error(`${this._name} couldn't seek to ${time}s`));
+            const timeout = setTimeout(
+                () => reject(new Error(`${this._name} timed out seeking to ${time}s`)),
+                SEEK_TIMEOUT
+            );
+
+            media.addEventListener('seeked', handleSeeked);
+            media.addEventListener('error', handleError);
+            media.currentTime = time;
+
+            return () => {
+                clearTimeout(timeout);
+                media.removeEventListener('seeked', handleSeeked);
+                media.removeEventListener('error', handleError);
+            };
+        });
+    }
+
+    /**
+     * Report progress to the onProgress callback
+     * @param {number} progress - Fraction done, from 0 to 1
+     * @param {number|null} time - Media time of the last handled frame
+     * @private
+     */
+    _reportProgress(progress, time) {
+        if (typeof this.options.onProgress === 'function') {
+            this.options.onProgress({ progress: Math.min(1, Math.max(0, progress)), time: time });
+        }
+    }
+
+    /**
+     * Reject the task when it was cancelled
+     * @private
+     */
+    _throwIfCancelled() {
+        if (this._cancelled) {
+            throw this._createAbortError();
+        }
+    }
+
+    /**
+     * Create the error a cancelled task rejects with
+     * @returns {DOMException} - An AbortError
+     * @private
+     */
+    _createAbortError() {
+        return new DOMException(`${this._name} ${this._taskName} was cancelled`, 'AbortError');
+    }
+}
+
+export default VideoAreaMediaTask;
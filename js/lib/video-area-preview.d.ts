@@ -0,0 +1,37 @@
+/**
+ * Live preview of a VideoAreaSelector's selection on a canvas
+ */
+
+import { VideoAreaSelector } from './video-area-selector.js';
+
+/** How a selection of another aspect ratio fills the output size */
+export type VideoAreaPreviewFit = 'contain' | 'cover' | 'fill';
+
+export interface VideoAreaPreviewOptions {
+  selector: VideoAreaSelector;
+  canvas: HTMLCanvasElement;
+  /** Output width in pixels, defaults to the selection width */
+  width?: number | null;
+  /** Output height in pixels, defaults to the selection height or follows the width */
+  height?: number | null;
+  fit?: VideoAreaPreviewFit;
+  /** Color of the letterbox bars and of the canvas without a selection */
+  background?: string;
+  /** Region to preview, defaults to the active region (also once the region is removed) */
+  regionId?: string | null;
+}
+
+export declare class VideoAreaPreview {
+  constructor(options: VideoAreaPreviewOptions);
+
+  readonly selector: VideoAreaSelector;
+  readonly canvas: HTMLCanvasElement;
+
+  setOutputSize(width: number | null, height: number | null): VideoAreaPreview;
+  setFit(fit: VideoAreaPreviewFit): VideoAreaPreview;
+  setRegion(regionId: string | null): VideoAreaPreview;
+  render(mediaTime?: number): VideoAreaPreview;
+  destroy(): void;
+}
+
+export default VideoAreaPreview;
@@ -0,0 +1,257 @@
+/**
+ * VideoAreaPreview - Draws the selected area of every video frame to a canvas
+ */
+import { fitToOutput } from './video-area-geometry.js';
+
+// How the selection is scaled into an output size of another aspect ratio
+const FITS = ['contain', 'cover', 'fill'];
+
+export class VideoAreaPreview {
+    /**
+     * Create a live preview of a selector's selection
+     * @param {Object} options - Configuration options
+     * @param {VideoAreaSelector} options.selector - The selector whose selection is previewed
+     * @param {HTMLCanvasElement} options.canvas - Canvas the cropped frames are drawn to
+     * @param {number} options.width - Optional output width in pixels, defaults to the selection width
+     * @param {number} options.height - Optional output height in pixels, defaults to the selection height,
+     *   or the width divided by the selection's aspect ratio when only the width is given
+     * @param {String} options.fit - How a selection of another aspect ratio fills the output:
+     *   'contain' (letterboxed, default), 'cover' (cropped) or 'fill' (stretched, like ffmpeg's scale=w:h)
+     * @param {String} options.background - Color of the letterbox bars and of the canvas without a selection
+     * @param {String} options.regionId - Optional region to preview, defaults to the active region,
+     *   which is also previewed once the region is removed
+     */
+    constructor(options) {
+        // Default options
+        this.options = {
+            selector: null,
+            canvas: null,
+            width: null,
+            height: null,
+            fit: 'contain',
+            background: '#000',
+            regionId: null,
+            ...options
+        };
+
+        if (!this.options.selector || !(this.options.canvas instanceof HTMLCanvasElement)) {
+            throw new Error('VideoAreaPreview requires a VideoAreaSelector and a canvas element');
+        }
+        if (!FITS.includes(this.options.fit)) {
+            throw new Error(`VideoAreaPreview got an invalid fit: ${this.options.fit}`);
+        }
+
+        this.selector = this.options.selector;
+        this.canvas = this.options.canvas;
+        this.context = this.canvas.getContext('2d');
+        this.mediaElement = this.selector.videoElement;
+        this._videoFrameCallbackId = null;
+        this._animationFrameId = null;
+
+        // Redraw whenever the selection changes, also while the video is paused
+        this._boundRender = () => this.render();
+        this.selector.on('selectionchange', this._boundRender);
+        this.selector.on('clear', this._boundRender);
+
+        // Frames are drawn as they are presented; seeks and newly loaded
+        // frames are drawn too, in case no frame callback follows them
+        this._boundVideoFrameHandler = this._handleVideoFrame.bind(this);
+        this._boundPlayHandler = this._requestFrame.bind(this);
+        this._mediaEvents = ['seeked', 'loadeddata', 'load'];
+        this._mediaEvents.forEach(type => this.mediaElement.addEventListener(type, this._boundRender));
+        this.mediaElement.addEventListener('play', this._boundPlayHandler);
+
+        this._requestFrame();
+        this.render();
+    }
+
+    /**
+     * Change the output size. Omitted sizes follow the selection, as in the constructor.
+     * @param {number|null} width - Output width in pixels
+     * @param {number|null} height - Output height in pixels
+     * @returns {VideoAreaPreview} - Returns this for method chaining
+     */
+    setOutputSize(width, height) {
+        this.options.width = width || null;
+        this.options.height = height || null;
+        return this.render();
+    }
+
+    /**
+     * Change how a selection of another aspect ratio fills the output
+     * @param {String} fit - 'contain', 'cover' or 'fill'
+     * @returns {VideoAreaPreview} - Returns this for method chaining
+     */
+    setFit(fit) {
+        if (!FITS.includes(fit)) {
+            throw new Error(`VideoAreaPreview got an invalid fit: ${fit}`);
+        }
+        this.options.fit = fit;
+        return this.render();
+    }
+
+    /**
+     * Preview another region
+     * @param {String|null} regionId - The region, or null to follow the active region
+     * @returns {VideoAreaPreview} - Returns this for method chaining
+     */
+    setRegion(regionId) {
+        this.options.regionId = regionId || null;
+        return this.render();
+    }
+
+    /**
+     * Draw the selected area of the current frame. Called automatically; call it
+     * yourself after drawing to a canvas that is used as the media.
+     * @param {number} [mediaTime] - Presentation time of the frame, for keyframed selections
+     * @returns {VideoAreaPreview} - Returns this for method chaining
+     */
+    render(mediaTime) {
+        const selection = this._getSelection(mediaTime);
+        const size = this._getOutputSize(selection);
+
+        // Resizing the canvas clears it, so only do it when the size changes
+        if (this.canvas.width !== size.width || this.canvas.height !== size.height) {
+            this.canvas.width = size.width;
+            this.canvas.height = size.height;
+        }
+
+        const context = this.context;
+        if (!context) return this;
+
+        context.fillStyle = this.options.background;
+        context.fillRect(0, 0, size.width, size.height);
+        if (!selection || !this._hasFrame()) return this;
+
+        const target = fitToOutput(selection, size, this.options.fit);
+        context.drawImage(
+            this.mediaElement,
+            selection.left, selection.top, selection.width, selection.height,
+            target.left, target.top, target.width, target.height
+        );
+
+        return this;
+    }
+
+    /**
+     * Stop following the selector and the video
+     */
+    destroy() {
+        this.selector.off('selectionchange', this._boundRender);
+        this.selector.off('clear', this._boundRender);
+        this._mediaEvents.forEach(type => this.mediaElement.removeEventListener(type, this._boundRender));
+        this.mediaElement.removeEventListener('play', this._boundPlayHandler);
+
+        if (this._videoFrameCallbackId !== null) {
+            this.mediaElement.cancelVideoFrameCallback(this._videoFrameCallbackId);
+            this._videoFrameCallbackId = null;
+        }
+        if (this._animationFrameId !== null) {
+            cancelAnimationFrame(this._animationFrameId);
+            this._animationFrameId = null;
+        }
+    }
+
+    /**
+     * Get the selection to draw. During playback a keyframed selection is
+     * interpolated for the exact frame, as the selector only follows its
+     * track on timeupdate events.
+     * @param {number} [mediaTime] - Presentation time of the frame
+     * @returns {Object|null} - Selection in original video coordinates
+     * @private
+     */
+    _getSelection(mediaTime) {
+        // A removed region would make the selector throw inside the frame loop,
+        // so the preview follows the active region from then on
+        const previewed = this.options.regionId;
+        if (previewed !== null && !this.selector.getRegions().some(region => region.id === previewed)) {
+            this.options.regionId = null;
+        }
+
+        const regionId = this.options.regionId;
+        const data = this.selector.getSelection(regionId);
+        if (!data) return null;
+
+        const playing = this.mediaElement instanceof HTMLVideoElement && !this.mediaElement.paused;
+        if (playing && mediaTime !== undefined) {
+            const animated = this.selector.getSelectionAtTime(mediaTime, regionId);
+            if (animated) return animated;
+        }
+
+        return data.absolute;
+    }
+
+    /**
+     * Get the size of the canvas
+     * @param {Object|null} selection - The selection being drawn
+     * @returns {Object} - Size {width, height} in whole pixels
+     * @private
+     */
+    _getOutputSize(selection) {
+        let {width, height} = this.options;
+        const ratio = selection ? selection.width / selection.height : null;
+
+        if (!width && !height) {
+            width = selection ? selection.width : this.canvas.width;
+            height = selection ? selection.height : this.canvas.height;
+        } else if (!height) {
+            height = ratio ? width / ratio : this.canvas.height;
+        } else if (!width) {
+            width = ratio ? height * ratio : this.canvas.width;
+        }
+
+        return { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)) };
+    }
+
+    /**
+     * Check whether the media has a frame to draw
+     * @returns {boolean} - True once video data, a decoded image or a canvas is available
+     * @private
+     */
+    _hasFrame() {
+        const media = this.mediaElement;
+        if (media instanceof HTMLVideoElement) {
+            return media.readyState >= 2;
+        }
+        if (media instanceof HTMLImageElement) {
+            return media.complete && media.naturalWidth > 0;
+        }
+        return true;
+    }
+
+    /**
+     * Ask for the next presented video frame. Without requestVideoFrameCallback,
+     * animation frames are used while the video plays.
+     * @private
+     */
+    _requestFrame() {
+        const video = this.mediaElement;
+        if (!(video instanceof HTMLVideoElement)) return;
+
+        if (typeof video.requestVideoFrameCallback === 'function') {
+            if (this._videoFrameCallbackId === null) {
+                this._videoFrameCallbackId = video.requestVideoFrameCallback(this._boundVideoFrameHandler);
+            }
+        } else if (this._animationFrameId === null && !video.paused) {
+            this._animationFrameId = requestAnimationFrame(() => {
+                this._animationFrameId = null;
+                this.render(video.currentTime);
+                this._requestFrame();
+            });
+        }
+    }
+
+    /**
+     * Draw a presented video frame and wait for the next one
+     * @param {number} now - Time the frame was handed to the compositor
+     * @param {Object} metadata - Video frame metadata with mediaTime
+     * @private
+     */
+    _handleVideoFrame(now, metadata) {
+        this._videoFrameCallbackId = null;
+        this.render(metadata.mediaTime);
+        this._requestFrame();
+    }
+}
+
+export default VideoAreaPreview;
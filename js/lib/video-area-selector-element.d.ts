@@ -0,0 +1,45 @@
+/**
+ * <video-area-selector> custom element wrapping VideoAreaSelector
+ */
+
+import { VideoAreaSelector, VideoAreaEventMap } from './video-area-selector.js';
+
+/** Events of the element: the selector's events prefixed with 'area', e.g. areaselectionend */
+export type VideoAreaElementEventMap = {
+  [K in keyof VideoAreaEventMap as `area${K}`]: VideoAreaEventMap[K];
+};
+
+export class VideoAreaSelectorElement extends HTMLElement {
+  static readonly observedAttributes: string[];
+
+  /** The wrapped VideoAreaSelector, null while the element isn't connected */
+  readonly selector: VideoAreaSelector | null;
+  /** The video element in the shadow DOM */
+  readonly video: HTMLVideoElement;
+
+  src: string;
+  controls: boolean;
+  enabled: boolean;
+  /** Aspect ratio to lock selections to, e.g. '16:9'; empty for free selections */
+  aspect: string;
+  selectionColor: string;
+
+  /** Selection of the active region in original video pixels, null without a selection */
+  left: number | null;
+  top: number | null;
+  width: number | null;
+  height: number | null;
+
+  addEventListener<K extends keyof VideoAreaElementEventMap>(type: K, listener: (this: VideoAreaSelectorElement, event: CustomEvent<VideoAreaElementEventMap[K]>) => void, options?: boolean | AddEventListenerOptions): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void;
+  removeEventListener<K extends keyof VideoAreaElementEventMap>(type: K, listener: (this: VideoAreaSelectorElement, event: CustomEvent<VideoAreaElementEventMap[K]>) => void, options?: boolean | EventListenerOptions): void;
+  removeEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | EventListenerOptions): void;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'video-area-selector': VideoAreaSelectorElement;
+  }
+}
+
+export default VideoAreaSelectorElement;
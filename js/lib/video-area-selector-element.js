@@ -0,0 +1,338 @@
+/**
+ * <video-area-selector> - Custom element wrapping VideoAreaSelector around a video in shadow DOM
+ */
+import { VideoAreaSelector, EVENT_TYPES } from './video-area-selector.js';
+
+// Library styles, loaded into every shadow root so page styles can't reach the handles
+const STYLESHEET_URL = new URL('../../css/video-area-selector.css', import.meta.url).href;
+
+// Attributes mirroring the active region's selection in original video pixels
+const SELECTION_ATTRIBUTES = ['left', 'top', 'width', 'height'];
+
+// Prefix of the DOM events, so they bubble without clashing with native events
+// like the Selection API's selectionchange
+const EVENT_PREFIX = 'area';
+
+const template = document.createElement('template');
+template.innerHTML = `
+    <link rel="stylesheet" href="${STYLESHEET_URL}">
+    <style>
+        :host {
+            display: inline-block;
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        video {
+            display: block;
+            max-width: 100%;
+        }
+    </style>
+    <div class="container" part="container">
+        <video part="video"></video>
+    </div>
+`;
+
+export class VideoAreaSelectorElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'controls', 'enabled', 'aspect', 'selection-color', ...SELECTION_ATTRIBUTES];
+    }
+
+    /**
+     * Create the shadow DOM with the video. The selector is created once the
+     * element is connected, as it needs the video to be laid out.
+     */
+    constructor() {
+        super();
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+        this._container = this.shadowRoot.querySelector('.container');
+        this._video = this.shadowRoot.querySelector('video');
+        this._selector = null;
+        this._selectionUpdate = null;
+
+        // Set while the selection is written to the attributes, so it isn't applied back
+        this._reflecting = false;
+    }
+
+    connectedCallback() {
+        if (this._selector) return;
+
+        this._selector = new VideoAreaSelector({
+            videoElement: this._video,
+            onChange: this._handleChange.bind(this),
+            enabled: this.enabled,
+            lockAspectRatio: this.aspect || null
+        });
+
+        // Re-dispatch the selector's events from the element, e.g. selectionend as
+        // areaselectionend, with their data as detail
+        EVENT_TYPES.forEach(type => {
+            this._selector.on(type, event => {
+                this.dispatchEvent(new CustomEvent(EVENT_PREFIX + type, { detail: event, bubbles: true }));
+            });
+        });
+        this._selector.on('clear', this._handleClear.bind(this));
+
+        // A selection given in the markup, or kept from before the element was moved
+        if (SELECTION_ATTRIBUTES.some(name => this.hasAttribute(name))) {
+            this._scheduleSelectionUpdate();
+        }
+    }
+
+    disconnectedCallback() {
+        if (this._selector) {
+            this._selector.destroy();
+            this._selector = null;
+        }
+
+        // A destroyed selector may never get ready; the next one schedules its own update
+        this._selectionUpdate = null;
+    }
+
+    /**
+     * Apply a changed attribute to the video or the selector
+     * @param {String} name - Attribute name
+     * @param {String|null} oldValue - Previous value
+     * @param {String|null} value - New value, null when removed
+     */
+    attributeChangedCallback(name, oldValue, value) {
+        switch (name) {
+            case 'src':
+                if (value === null) {
+                    this._video.removeAttribute('src');
+                } else {
+                    this._video.src = value;
+                }
+                break;
+            case 'controls':
+                this._video.controls = value !== null;
+                break;
+            case 'enabled':
+                if (this._selector) {
+                    if (value !== null) {
+                        this._selector.enable();
+                    } else {
+                        this._selector.disable();
+                    }
+                }
+                break;
+            case 'aspect':
+                if (this._selector) {
+                    this._selector.setAspectRatio(value || null);
+                }
+                break;
+            case 'selection-color':
+                // Custom properties inherit into the selector's elements
+                if (value === null) {
+                    this._container.style.removeProperty('--selection-color');
+                } else {
+                    this._container.style.setProperty('--selection-color', value);
+                }
+                break;
+            default:
+                if (!this._reflecting) {
+                    this._scheduleSelectionUpdate();
+                }
+        }
+    }
+
+    /** The wrapped VideoAreaSelector, null while the element isn't connected */
+    get selector() {
+        return this._selector;
+    }
+
+    /** The video element in the shadow DOM */
+    get video() {
+        return this._video;
+    }
+
+    get src() {
+        return this.getAttribute('src') || '';
+    }
+
+    set src(value) {
+        this.setAttribute('src', value);
+    }
+
+    get controls() {
+        return this.hasAttribute('controls');
+    }
+
+    set controls(value) {
+        this.toggleAttribute('controls', Boolean(value));
+    }
+
+    get enabled() {
+        return this.hasAttribute('enabled');
+    }
+
+    set enabled(value) {
+        this.toggleAttribute('enabled', Boolean(value));
+    }
+
+    get aspect() {
+        return this.getAttribute('aspect') || '';
+    }
+
+    set aspect(value) {
+        if (value) {
+            this.setAttribute('aspect', value);
+        } else {
+            this.removeAttribute('aspect');
+        }
+    }
+
+    get selectionColor() {
+        return this.getAttribute('selection-color') || '';
+    }
+
+    set selectionColor(value) {
+        if (value) {
+            this.setAttribute('selection-color', value);
+        } else {
+            this.removeAttribute('selection-color');
+        }
+    }
+
+    get left() {
+        return this._getSelectionAttribute('left');
+    }
+
+    set left(value) {
+        this._setSelectionAttribute('left', value);
+    }
+
+    get top() {
+        return this._getSelectionAttribute('top');
+    }
+
+    set top(value) {
+        this._setSelectionAttribute('top', value);
+    }
+
+    get width() {
+        return this._getSelectionAttribute('width');
+    }
+
+    set width(value) {
+        this._setSelectionAttribute('width', value);
+    }
+
+    get height() {
+        return this._getSelectionAttribute('height');
+    }
+
+    set height(value) {
+        this._setSelectionAttribute('height', value);
+    }
+
+    /**
+     * Read a selection attribute as a number
+     * @param {String} name - One of left, top, width and height
+     * @returns {number|null} - The value, or null without a selection
+     * @private
+     */
+    _getSelectionAttribute(name) {
+        const value = this.getAttribute(name);
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Write a selection attribute; null removes it
+     * @param {String} name - One of left, top, width and height
+     * @param {number|null} value - The value in original video pixels
+     * @private
+     */
+    _setSelectionAttribute(name, value) {
+        if (value === null || value === undefined) {
+            this.removeAttribute(name);
+        } else {
+            this.setAttribute(name, String(value));
+        }
+    }
+
+    /**
+     * Apply the selection attributes once the video dimensions are known. Changes
+     * made together, e.g. setting left and width in a row, are applied at once,
+     * so the box isn't clamped to the video in between.
+     * @private
+     */
+    _scheduleSelectionUpdate() {
+        if (this._selectionUpdate || !this._selector) return;
+
+        const selector = this._selector;
+        this._selectionUpdate = selector.ready().then(() => {
+            // Ignore a selector replaced since, when the element was moved
+            if (this._selector !== selector) return;
+
+            this._selectionUpdate = null;
+            this._applySelectionAttributes();
+        });
+    }
+
+    /**
+     * Set the active region's selection from the attributes, or clear it when all are removed
+     * @private
+     */
+    _applySelectionAttributes() {
+        if (!this._selector) return;
+
+        const [left, top, width, height] = SELECTION_ATTRIBUTES.map(name => this._getSelectionAttribute(name));
+
+        if ([left, top, width, height].every(value => value === null)) {
+            if (this._selector.getSelection()) {
+                this._selector.clearSelection();
+            }
+        } else if ([left, top, width, height].every(Number.isFinite)) {
+            // Constraints may adjust the box; the result is reflected back to the attributes
+            this._selector.setSelection({ left, top, width, height });
+        }
+    }
+
+    /**
+     * Reflect the active region's selection to the attributes
+     * @param {Object} selectionData - Selection data from the selector
+     * @private
+     */
+    _handleChange(selectionData) {
+        if (!selectionData.region.selected) return;
+
+        this._reflectSelection(selectionData.absolute);
+    }
+
+    /**
+     * Remove the selection attributes when the active region is cleared
+     * @param {Object} event - The clear event
+     * @private
+     */
+    _handleClear(event) {
+        if (!event.region.selected) return;
+
+        this._reflectSelection(null);
+    }
+
+    /**
+     * Write a selection to the attributes without applying it again
+     * @param {Object|null} selection - left, top, width and height, or null to remove them
+     * @private
+     */
+    _reflectSelection(selection) {
+        this._reflecting = true;
+        try {
+            SELECTION_ATTRIBUTES.forEach(name => {
+                this._setSelectionAttribute(name, selection ? selection[name] : null);
+            });
+        } finally {
+            this._reflecting = false;
+        }
+    }
+}
+
+if (!customElements.get('video-area-selector')) {
+    customElements.define('video-area-selector', VideoAreaSelectorElement);
+}
+
+export default VideoAreaSelectorElement;
@@ -1,10 +1,196 @@
 export interface VideoAreaSelectorOptions {
-  videoElement: HTMLVideoElement;
+  /** The media to select areas in: a video (file or MediaStream), image or canvas */
+  videoElement: HTMLVideoElement | HTMLImageElement | HTMLCanvasElement;
   onChange?: (selectionData: VideoAreaSelectionData) => void;
   selectionColor?: string;
   selectionBorder?: string;
   enabled?: boolean;
   resizeDebounce?: number;
+  /** Initial regions, defaults to a single region with id "selection" */
+  regions?: VideoAreaRegionOptions[];
+  /** Aspect ratio to lock selections to, e.g. '16:9', '9:16' or 1.85 */
+  lockAspectRatio?: VideoAreaAspectRatioValue | null;
+  /** Make widths and heights multiples of this, e.g. 2, 8 or 16 video pixels */
+  snapTo?: number | null;
+  /** Snap edges to a grid with this spacing in video pixels */
+  grid?: number | null;
+  /** Magnetically snap edges to the video edges and center lines */
+  snapToEdges?: boolean;
+  /** Distance in screen pixels at which magnetic snapping kicks in (default 8) */
+  snapThreshold?: number;
+  /** Minimum selection width in video pixels */
+  minWidth?: number | null;
+  /** Minimum selection height in video pixels */
+  minHeight?: number | null;
+  /** Maximum selection width in video pixels */
+  maxWidth?: number | null;
+  /** Maximum selection height in video pixels */
+  maxHeight?: number | null;
+  /** Area in video pixels that selections can't leave */
+  bounds?: VideoAreaSelection | null;
+  /** Called when a constraint limited a selection (at the end of a drag for pointer edits) */
+  onConstraintViolation?: (data: VideoAreaConstraintViolationData) => void;
+  /** Sample (pixel) aspect ratio of anamorphic video, e.g. '64:45' */
+  sampleAspectRatio?: VideoAreaAspectRatioValue | null;
+  /** Clockwise rotation in degrees applied to stored frames for display: 0, 90, 180 or 270 */
+  rotation?: number;
+  /** Mirroring of the displayed frame */
+  flip?: VideoAreaFlip | null;
+  /** Number of edits that can be undone (default 100) */
+  historyLimit?: number;
+  /** Zoom with Ctrl/Cmd+wheel or a pinch gesture in selection mode and pan by scrolling (default false) */
+  zoomable?: boolean;
+  /** Largest zoom factor (default 8) */
+  maxZoom?: number;
+  /** Show a magnifier around the pointer while drawing or resizing (default false) */
+  loupe?: boolean;
+  /** Size of the loupe in screen pixels (default 120) */
+  loupeSize?: number;
+  /** Magnification of the loupe relative to the displayed video (default 4) */
+  loupeZoom?: number;
+  /** Shape of regions that don't set their own (default 'rectangle') */
+  shape?: VideoAreaShape;
+  /** Frame rate of the video; detected during playback when not given */
+  frameRate?: number | null;
+}
+
+export type VideoAreaShape = 'rectangle' | 'ellipse' | 'polygon';
+
+export interface VideoAreaPoint {
+  x: number;
+  y: number;
+}
+
+export interface VideoAreaEllipse {
+  centerX: number;
+  centerY: number;
+  radiusX: number;
+  radiusY: number;
+}
+
+export interface VideoAreaSelectionStartEvent {
+  type: 'selectionstart';
+  action: 'draw' | 'move' | 'resize';
+  /** The resize handle, e.g. 'nw', 'e' or 'vertex', or null when not resizing */
+  handle: string | null;
+  region: VideoAreaRegionInfo;
+}
+
+export interface VideoAreaSelectionEndEvent extends VideoAreaSelectionData {
+  type: 'selectionend';
+  /** False when a drag ended without changing the selection */
+  changed: boolean;
+}
+
+export interface VideoAreaClearEvent {
+  type: 'clear';
+  region: VideoAreaRegionInfo;
+  regions: VideoAreaRegion[];
+}
+
+export interface VideoAreaEventMap {
+  selectionstart: VideoAreaSelectionStartEvent;
+  selectionchange: VideoAreaSelectionData & { type: 'selectionchange' };
+  selectionend: VideoAreaSelectionEndEvent;
+  clear: VideoAreaClearEvent;
+  enable: { type: 'enable' };
+  disable: { type: 'disable' };
+  ready: { type: 'ready', width: number, height: number };
+  constraintviolation: VideoAreaConstraintViolationData & { type: 'constraintviolation' };
+  frameratechange: { type: 'frameratechange', frameRate: number };
+}
+
+/** Names of the events that can be subscribed to with on() and off() */
+export const EVENT_TYPES: ReadonlyArray<keyof VideoAreaEventMap>;
+
+/** Frame rate used for stepping until one is detected */
+export const DEFAULT_FRAME_RATE: number;
+/** Keyframes closer together than this (in seconds) are treated as the same keyframe */
+export const KEYFRAME_TIME_EPSILON: number;
+
+export type VideoAreaFlip = 'horizontal' | 'vertical';
+
+export interface VideoAreaTransformOptions {
+  sampleAspectRatio?: VideoAreaAspectRatioValue | null;
+  rotation?: number;
+  flip?: VideoAreaFlip | null;
+}
+
+export interface VideoAreaTransform {
+  /** Reduced sample aspect ratio, or null for square samples */
+  sampleAspectRatio: VideoAreaAspectRatio | null;
+  rotation: 0 | 90 | 180 | 270;
+  flip: VideoAreaFlip | null;
+}
+
+export interface VideoAreaSnappingOptions {
+  snapTo?: number | null;
+  grid?: number | null;
+  snapToEdges?: boolean;
+  snapThreshold?: number;
+}
+
+export interface VideoAreaConstraints {
+  minWidth?: number | null;
+  minHeight?: number | null;
+  maxWidth?: number | null;
+  maxHeight?: number | null;
+  bounds?: VideoAreaSelection | null;
+}
+
+export interface VideoAreaConstraintViolation {
+  constraint: 'minWidth' | 'minHeight' | 'maxWidth' | 'maxHeight' | 'bounds';
+  /** The property the constraint limited */
+  property: 'left' | 'top' | 'width' | 'height';
+  /** The requested value in video pixels */
+  requested: number;
+  /** The value the constraint allows */
+  limit: number;
+}
+
+export interface VideoAreaConstraintViolationData {
+  violations: VideoAreaConstraintViolation[];
+  region: VideoAreaRegionInfo;
+  /** The selection that was applied */
+  selection: VideoAreaSelection;
+}
+
+export type VideoAreaAspectRatioValue = string | number;
+
+export interface VideoAreaAspectRatio {
+  /** Width units of the reduced ratio, in original video pixels */
+  width: number;
+  /** Height units of the reduced ratio, in original video pixels */
+  height: number;
+}
+
+export interface VideoAreaRegionOptions {
+  id?: string;
+  label?: string;
+  /** Fill color of the box (CSS color) */
+  color?: string;
+  /** Border color of the box (CSS color) */
+  border?: string;
+  /** Shape of the region, defaults to the shape option */
+  shape?: VideoAreaShape;
+  /** Initial selection in original video dimensions */
+  selection?: VideoAreaSelection | VideoAreaPolygonSelection;
+}
+
+export interface VideoAreaRegionInfo {
+  id: string;
+  label: string;
+  shape: VideoAreaShape;
+  color: string | null;
+  border: string | null;
+  selected: boolean;
+}
+
+export interface VideoAreaRegion extends VideoAreaRegionInfo {
+  absolute: VideoAreaSelectionCoordinates | null;
+  relative: VideoAreaSelectionCoordinates | null;
+  /** Vertices of a polygon region in original video pixels */
+  points: VideoAreaPoint[] | null;
 }
 
 export interface VideoAreaSelectionCoordinates {
@@ -19,10 +205,23 @@ export interface VideoAreaSelectionCoordinates {
 export interface VideoAreaSelectionData {
   absolute: VideoAreaSelectionCoordinates;
   relative: VideoAreaSelectionCoordinates;
+  /** The box in the pixels of the stored frames, before sample aspect ratio, rotation and flip */
+  storage: VideoAreaSelectionCoordinates;
   video: {
     width: number;
     height: number;
+    storageWidth: number;
+    storageHeight: number;
   };
+  shape: VideoAreaShape;
+  /** Vertices of a polygon in original video pixels; absolute is their bounding box */
+  points: VideoAreaPoint[] | null;
+  /** Center and radii of an ellipse in original video pixels */
+  ellipse: VideoAreaEllipse | null;
+  /** The region these coordinates belong to */
+  region: VideoAreaRegionInfo;
+  /** All regions, including ones without a selection */
+  regions: VideoAreaRegion[];
 }
 
 export interface VideoAreaSelection {
@@ -32,14 +231,35 @@ export interface VideoAreaSelection {
   height: number;
 }
 
+export interface VideoAreaPolygonSelection {
+  /** At least three vertices in original video pixels */
+  points: VideoAreaPoint[];
+}
+
+export interface VideoAreaKeyframe extends VideoAreaSelection {
+  /** Time in seconds */
+  time: number;
+}
+
+export interface VideoAreaCaptureOptions {
+  /** Image format (default: 'png') */
+  format?: 'png' | 'jpeg' | 'webp';
+  /** Quality from 0 to 1 for JPEG and WebP */
+  quality?: number;
+  /** Factor applied to the source resolution (default: 1) */
+  scale?: number;
+  /** Region to capture, defaults to the active region */
+  regionId?: string;
+}
+
 export declare class VideoAreaSelector {
   constructor(options: VideoAreaSelectorOptions);
   
   enable(): VideoAreaSelector;
   disable(): VideoAreaSelector;
-  getSelection(): VideoAreaSelectionData | null;
-  setSelection(selection: VideoAreaSelection): VideoAreaSelector;
-  clearSelection(): VideoAreaSelector;
+  getSelection(regionId?: string): VideoAreaSelectionData | null;
+  setSelection(selection: VideoAreaSelection | VideoAreaPolygonSelection, regionId?: string): VideoAreaSelector;
+  clearSelection(regionId?: string): VideoAreaSelector;
   destroy(): void;
   
   /**
@@ -48,9 +268,61 @@ export declare class VideoAreaSelector {
    */
   ready(): Promise<{width: number, height: number}>;
 
+  /** Image of the selected area of the current frame at source resolution */
+  captureRegion(options?: VideoAreaCaptureOptions): Promise<Blob>;
+
+  // Zoom API methods
+  setZoom(zoom: number, center?: { x: number, y: number }): VideoAreaSelector;
+  getZoom(): number;
+  panBy(dx: number, dy: number): VideoAreaSelector;
+  resetZoom(): VideoAreaSelector;
+
+  /** Recompute the overlay after changing the video's object-fit or object-position */
+  updateLayout(): VideoAreaSelector;
+
+  // History API methods
+  undo(): VideoAreaSelector;
+  redo(): VideoAreaSelector;
+  canUndo(): boolean;
+  canRedo(): boolean;
+
+  // Event API methods
+  on<K extends keyof VideoAreaEventMap>(type: K, listener: (event: VideoAreaEventMap[K]) => void): VideoAreaSelector;
+  off<K extends keyof VideoAreaEventMap>(type: K, listener?: (event: VideoAreaEventMap[K]) => void): VideoAreaSelector;
+
   // Timeline API methods
   setCurrentTime(time: number): void;
   onTimeUpdate(callback: (time: number) => void): () => void;
+
+  // Frame API methods
+  /** The frameRate option or the detected frame rate, null while unknown */
+  getFrameRate(): number | null;
+  getCurrentFrame(): number;
+  seekToFrame(frame: number): VideoAreaSelector;
+  stepFrames(count: number): VideoAreaSelector;
+
+  setAspectRatio(ratio: VideoAreaAspectRatioValue | null): VideoAreaSelector;
+  getAspectRatio(): VideoAreaAspectRatio | null;
+  setSnapping(snapping: VideoAreaSnappingOptions): VideoAreaSelector;
+  setConstraints(constraints: VideoAreaConstraints): VideoAreaSelector;
+  getConstraints(): Required<VideoAreaConstraints>;
+  setVideoTransform(transform: VideoAreaTransformOptions): VideoAreaSelector;
+  getVideoTransform(): VideoAreaTransform;
+
+  // Region API methods
+  addRegion(region?: VideoAreaRegionOptions): string;
+  removeRegion(regionId: string): VideoAreaSelector;
+  selectRegion(regionId: string): VideoAreaSelector;
+  updateRegion(regionId: string, changes: Pick<VideoAreaRegionOptions, 'label' | 'color' | 'border' | 'shape'>): VideoAreaSelector;
+  getRegions(): VideoAreaRegion[];
+
+  // Keyframe API methods (addKeyframe and removeKeyframe apply to the active region)
+  addKeyframe(selection?: VideoAreaSelection, time?: number): VideoAreaSelector;
+  removeKeyframe(time?: number): VideoAreaSelector;
+  getTrack(regionId?: string): VideoAreaKeyframe[];
+  setTrack(track: VideoAreaKeyframe[], regionId?: string): VideoAreaSelector;
+  clearTrack(regionId?: string): VideoAreaSelector;
+  getSelectionAtTime(time: number, regionId?: string): VideoAreaSelection | null;
 }
 
 export default VideoAreaSelector;
\ No newline at end of file
@@ -1,19 +1,117 @@
 /**
- * VideoAreaSelector - A library for selecting rectangular areas in videos
+ * VideoAreaSelector - A library for selecting areas in videos, images and canvases
  */
+import {
+    parseAspectRatio, parseVideoTransform, getContentLayout, displayToSource, sourceToDisplay,
+    getSizeStep, getAspectRatioUnitStep, fitAspectRatio, constrainSelection, rectFromAnchor,
+    rectFromEdge, resizeSelection, moveSelection, snapPoint, snapMovedSelection, clampPoint,
+    outlineToPoints, pointsToOutline, containsPoint, getSelectionCoordinates, getStorageSize,
+    toStorage, interpolateTrack
+} from './video-area-geometry.js';
+
+// Keyframes closer together than this (in seconds) are treated as the same keyframe
+export const KEYFRAME_TIME_EPSILON = 0.001;
+
+// Movement per arrow key as [x, y]
+const ARROW_KEYS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+// Events that can be subscribed to with on() and off()
+export const EVENT_TYPES = [
+    'selectionstart', 'selectionchange', 'selectionend', 'clear',
+    'enable', 'disable', 'ready', 'constraintviolation', 'frameratechange'
+];
+
+// Frame rate used for stepping until one is detected, matching 0.04 s steps
+export const DEFAULT_FRAME_RATE = 25;
+
+// Detected frame rates this close (relative) to a common rate are reported as that rate
+const FRAME_RATE_TOLERANCE = 0.005;
+const COMMON_FRAME_RATES = [
+    24000 / 1001, 24, 25, 30000 / 1001, 30, 48, 50, 60000 / 1001, 60, 100, 120000 / 1001, 120
+];
+
+// Frame durations measured for the frame rate estimate, and how many are needed
+const FRAME_SAMPLE_COUNT = 30;
+const MIN_FRAME_SAMPLES = 5;
+
+// Shapes a region can have; ellipses and polygons are drawn inside the box
+const SHAPES = ['rectangle', 'ellipse', 'polygon'];
+
+// A click this close to the first vertex (in screen pixels) closes a polygon
+const CLOSE_POLYGON_DISTANCE = 10;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Image formats captureRegion() can encode, with their MIME types
+const CAPTURE_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Counter for ids that must be unique per selector on the page
+let instanceCounter = 0;
+
+/**
+ * Validate a selection shape
+ * @param {String|null} shape - 'rectangle', 'ellipse' or 'polygon'
+ * @returns {String} - The shape, 'rectangle' when none is given
+ */
+function parseShape(shape) {
+    if (!shape) {
+        return 'rectangle';
+    }
+    if (!SHAPES.includes(shape)) {
+        throw new Error(`VideoAreaSelector got an invalid shape: ${shape}`);
+    }
+    return shape;
+}
+
 export class VideoAreaSelector {
     /**
      * Create a new video area selector
      * @param {Object} options - Configuration options
-     * @param {HTMLVideoElement} options.videoElement - The video element to attach to
+     * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} options.videoElement - The video, image
+     *   or canvas element to attach to. Videos may play a file or a MediaStream (srcObject).
      * @param {Function} options.onChange - Callback when selection changes
      * @param {String} options.selectionColor - Color of selection overlay (CSS color)
      * @param {String} options.selectionBorder - Border color of selection (CSS color)
      * @param {Boolean} options.enabled - Whether selection mode is enabled initially
+     * @param {Array<Object>} options.regions - Initial regions ({id, label, color, border}), defaults to a single region
+     * @param {String|Number} options.lockAspectRatio - Aspect ratio (e.g. '16:9' or 1.85) to lock selections to
+     * @param {Number} options.snapTo - Make widths and heights multiples of this (e.g. 2, 8 or 16 video pixels)
+     * @param {Number} options.grid - Snap edges to a grid with this spacing in video pixels
+     * @param {Boolean} options.snapToEdges - Magnetically snap edges to the video edges and center lines
+     * @param {Number} options.snapThreshold - Distance in screen pixels at which magnetic snapping kicks in
+     * @param {Number} options.minWidth - Minimum selection width in video pixels
+     * @param {Number} options.minHeight - Minimum selection height in video pixels
+     * @param {Number} options.maxWidth - Maximum selection width in video pixels
+     * @param {Number} options.maxHeight - Maximum selection height in video pixels
+     * @param {Object} options.bounds - Area {left, top, width, height} in video pixels that selections can't leave
+     * @param {Function} options.onConstraintViolation - Callback when a constraint limited a selection
+     * @param {String|Number} options.sampleAspectRatio - Sample (pixel) aspect ratio of anamorphic video, e.g. '4:3'
+     * @param {Number} options.rotation - Clockwise rotation in degrees applied to stored frames for display
+     * @param {String} options.flip - 'horizontal' or 'vertical' when the displayed frame is mirrored
+     * @param {Number} options.historyLimit - Number of edits that can be undone
+     * @param {Boolean} options.zoomable - Zoom with Ctrl/Cmd+wheel or a pinch gesture in selection mode,
+     *   and pan a zoomed video by scrolling
+     * @param {Number} options.maxZoom - Largest zoom factor
+     * @param {Boolean} options.loupe - Show a magnifier around the pointer while drawing or resizing
+     * @param {Number} options.loupeSize - Size of the loupe in screen pixels
+     * @param {Number} options.loupeZoom - Magnification of the loupe relative to the displayed video
+     * @param {String} options.shape - Shape of new regions: 'rectangle', 'ellipse' or 'polygon'
+     * @param {Number} options.frameRate - Frame rate of the video, detected during playback when not given
      */
     constructor(options) {
-        if (!options.videoElement || !(options.videoElement instanceof HTMLVideoElement)) {
-            throw new Error('VideoAreaSelector requires a valid video element');
+        const media = options.videoElement;
+        if (!media || !(media instanceof HTMLVideoElement || media instanceof HTMLImageElement ||
+            media instanceof HTMLCanvasElement)) {
+            throw new Error('VideoAreaSelector requires a valid video, image or canvas element');
         }
 
         // Store options with defaults
@@ -23,8 +121,37 @@ export class VideoAreaSelector {
             selectionBorder: 'red',
             enabled: false,
             resizeDebounce: 0,
+            lockAspectRatio: null,
+            snapTo: null,
+            grid: null,
+            snapToEdges: false,
+            snapThreshold: 8,
+            minWidth: null,
+            minHeight: null,
+            maxWidth: null,
+            maxHeight: null,
+            bounds: null,
+            onConstraintViolation: () => {},
+            sampleAspectRatio: null,
+            rotation: 0,
+            flip: null,
+            historyLimit: 100,
+            zoomable: false,
+            maxZoom: 8,
+            loupe: false,
+            loupeSize: 120,
+            loupeZoom: 4,
+            shape: 'rectangle',
+            frameRate: null,
             ...options
         };
+        this.options.shape = parseShape(this.options.shape);
+
+        // Locked aspect ratio in whole units of original video pixels, or null
+        this.aspectRatio = parseAspectRatio(this.options.lockAspectRatio);
+
+        // How stored frames are scaled, rotated and mirrored for display
+        this.videoTransform = parseVideoTransform(this.options);
 
         // Store references
         this.videoElement = options.videoElement;
@@ -34,24 +161,68 @@ export class VideoAreaSelector {
         // Current selection state
         this.isSelecting = false;
         this.isResizing = false;
+        this.isMoving = false;
         this.activeHandle = null;
         this.startX = 0;
         this.startY = 0;
-        this.selectionLeft = 0;
-        this.selectionTop = 0;
-        this.selectionWidth = 0;
-        this.selectionHeight = 0;
-        this.lastMoveEvent = null;
-        this.currentSelection = null;
+        this.dragStartSelection = null;
+        this.activePointerId = null;
+        this.activeVertex = null;
+
+        // Polygon being drawn click by click as {region, before, points}
+        this._polygonDraft = null;
+
+        // Zoom and pan of the video inside the wrapper: the element is scaled
+        // by `zoom` around its top-left corner, then moved by x, y CSS pixels
+        this.view = { zoom: 1, x: 0, y: 0 };
+        this.isPanning = false;
+        this._panStart = null;
+
+        // Touch points by pointer id, and the pinch gesture of two of them
+        this._touchPoints = new Map();
+        this._pinch = null;
+
+        // Listeners added with on(), as a Set per event type
+        this._listeners = new Map();
+
+        // Frame rate estimated from the frames presented during playback
+        this._detectedFrameRate = null;
+        this._frameDurations = [];
+        this._lastVideoFrame = null;
+        this._videoFrameCallbackId = null;
+
+        // Constraints that limited the selection being built, and the last
+        // update of the current drag
+        this._violations = [];
+        this._dragViolations = [];
+
+        // Committed edits as {regionId, before, after} snapshots, oldest first
+        this._undoStack = [];
+        this._redoStack = [];
+        this._dragStartState = null;
+
+        // Named regions in stacking order (the last one is drawn on top).
+        // Each region holds its own selection and keyframe track.
+        this.regions = [];
+        this.activeRegion = null;
+        this._regionCounter = 0;
 
         // Create Promise for video dimensions
         this._dimensionsReady = new Promise((resolve) => {
             this._resolveDimensions = resolve;
         });
+        this._dimensionsReady.then(dimensions => this._emit('ready', dimensions));
 
         // Create DOM elements
         this._createElements();
 
+        // Create the initial regions and select the first one
+        const initialRegions = this.options.regions && this.options.regions.length > 0
+            ? this.options.regions
+            : [{ id: 'selection', label: 'Selection' }];
+        initialRegions.forEach(region => this.addRegion(region));
+        this.selectRegion(this.regions[0].id);
+
         // Setup ResizeObserver
         this.resizeObserver = new ResizeObserver(this._handleResize.bind(this));
         this.resizeObserver.observe(this.videoElement);
@@ -60,48 +231,31 @@ export class VideoAreaSelector {
         this._attachEventListeners();
 
         // Store bound event handlers for easy removal
-        this._boundDocumentMouseMoveHandler = this._documentMouseMoveHandler.bind(this);
-        this._boundDocumentMouseUpHandler = this._documentMouseUpHandler.bind(this);
-        this._boundDocumentResizeHandler = this._documentResizeHandler.bind(this);
+        this._boundTrackUpdateHandler = this._handleTrackUpdate.bind(this);
 
-        // Set video dimensions immediately if available
-        this.originalVideoWidth = this.videoElement.videoWidth;
-        this.originalVideoHeight = this.videoElement.videoHeight;
-        
-        // Check if dimensions are already available
-        if (this.originalVideoWidth > 0 && this.originalVideoHeight > 0) {
-            // Resolve dimensions immediately
-            this._resolveDimensions({
-                width: this.originalVideoWidth,
-                height: this.originalVideoHeight
-            });
-        } else {
-            // Add a fallback listener in case dimensions aren't available immediately
-            if (this.videoElement.readyState >= 1) {
-                setTimeout(() => {
-                    this.originalVideoWidth = this.videoElement.videoWidth;
-                    this.originalVideoHeight = this.videoElement.videoHeight;
-                    
-                    if (this.originalVideoWidth > 0 && this.originalVideoHeight > 0) {
-                        this._resolveDimensions({
-                            width: this.originalVideoWidth,
-                            height: this.originalVideoHeight
-                        });
-                    }
-                }, 100);
-            }
-            
-            this.videoElement.addEventListener('loadedmetadata', () => {
-                this.originalVideoWidth = this.videoElement.videoWidth;
-                this.originalVideoHeight = this.videoElement.videoHeight;
-                
-                if (this.originalVideoWidth > 0 && this.originalVideoHeight > 0) {
-                    this._resolveDimensions({
-                        width: this.originalVideoWidth,
-                        height: this.originalVideoHeight
-                    });
-                }
-            });
+        // Follow the keyframe track while the video plays or seeks
+        this.videoElement.addEventListener('timeupdate', this._boundTrackUpdateHandler);
+        this.videoElement.addEventListener('seeked', this._boundTrackUpdateHandler);
+
+        // Frames on both sides of a seek don't measure the frame duration
+        this._boundSeekingHandler = () => { this._lastVideoFrame = null; };
+        this.videoElement.addEventListener('seeking', this._boundSeekingHandler);
+        this._requestVideoFrame();
+
+        // Follow the size of the media: video metadata, a stream changing
+        // resolution and images loading all change it. Canvas sizes are read
+        // again by updateLayout().
+        this._boundMediaSizeHandler = this._handleMediaSize.bind(this);
+        this._mediaSizeEvents = this.videoElement instanceof HTMLImageElement
+            ? ['load']
+            : (this.videoElement instanceof HTMLVideoElement ? ['loadedmetadata', 'resize'] : []);
+        this._mediaSizeEvents.forEach(type => this.videoElement.addEventListener(type, this._boundMediaSizeHandler));
+
+        // Set dimensions immediately if available
+        this._mediaSizeTimeout = null;
+        if (!this._handleMediaSize() && this.videoElement.readyState >= 1) {
+            // Add a fallback in case the dimensions aren't reported together with the metadata
+            this._mediaSizeTimeout = setTimeout(this._boundMediaSizeHandler, 100);
         }
 
         // Initial state
@@ -123,35 +277,25 @@ export class VideoAreaSelector {
         this.selectionOverlay = document.createElement('div');
         this.selectionOverlay.className = 'selection-overlay';
         this.selectionOverlay.id = 'selectionOverlay';
-        
-        // Setup selection box
-        this.selectionBox = document.createElement('div');
-        this.selectionBox.className = 'selection-box';
-        if (!this.options?.enabled) {
-            this.selectionBox.classList.add('playback-mode');
-        }
-        this.selectionBox.id = 'selectionBox';
-
-        // Add resize handles
-        this.handleNW = document.createElement('div');
-        this.handleNE = document.createElement('div');
-        this.handleSW = document.createElement('div');
-        this.handleSE = document.createElement('div');
-        
-        this.handleNW.className = 'resize-handle handle-nw';
-        this.handleNE.className = 'resize-handle handle-ne';
-        this.handleSW.className = 'resize-handle handle-sw';
-        this.handleSE.className = 'resize-handle handle-se';
-        
-        this.handleNW.id = 'handleNW';
-        this.handleNE.id = 'handleNE';
-        this.handleSW.id = 'handleSW';
-        this.handleSE.id = 'handleSE';
-        
-        this.selectionBox.appendChild(this.handleNW);
-        this.selectionBox.appendChild(this.handleNE);
-        this.selectionBox.appendChild(this.handleSW);
-        this.selectionBox.appendChild(this.handleSE);
+
+        // Keyboard instructions referenced by every selection box
+        instanceCounter++;
+        this.instructionsElement = document.createElement('div');
+        this.instructionsElement.className = 'selection-sr-only';
+        this.instructionsElement.id = `video-area-selector-${instanceCounter}-instructions`;
+        this.instructionsElement.textContent = 'Arrow keys move the selection by one video pixel, ' +
+            'with Shift by ten. Alt or Control with arrow keys resizes it.';
+
+        // Live region announcing coordinates after edits
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'selection-sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('role', 'status');
+
+        // Magnifier shown while drawing or resizing
+        this.loupeElement = document.createElement('canvas');
+        this.loupeElement.className = 'selection-loupe';
+        this.loupeElement.setAttribute('aria-hidden', 'true');
 
         // Insert elements into DOM
         const parent = this.videoElement.parentNode;
@@ -160,638 +304,2066 @@ export class VideoAreaSelector {
         parent.insertBefore(this.videoWrapper, this.videoElement);
         this.videoWrapper.appendChild(this.videoElement);
         
-        // Add overlay and selection box
+        // Add overlay; selection boxes are added per region
         this.videoWrapper.appendChild(this.selectionOverlay);
-        this.videoWrapper.appendChild(this.selectionBox);
+        this.videoWrapper.appendChild(this.loupeElement);
+        this.videoWrapper.appendChild(this.instructionsElement);
+        this.videoWrapper.appendChild(this.liveRegion);
     }
 
     /**
-     * Attach event listeners for selection and resizing
+     * Create the selection box, label and resize handles of a region
+     * @param {Object} region - The region to create elements for
      * @private
      */
-    _attachEventListeners() {
-        // Selection overlay events
-        this.selectionOverlay.addEventListener('mousedown', this._handleSelectionStart.bind(this));
-        this.selectionOverlay.addEventListener('mousemove', this._handleSelectionMove.bind(this));
-        this.selectionOverlay.addEventListener('mouseup', this._handleSelectionEnd.bind(this));
-        this.selectionOverlay.addEventListener('mouseleave', this._handleSelectionLeave.bind(this));
-
-        // Resize handle events
-        [this.handleNW, this.handleNE, this.handleSW, this.handleSE].forEach(handle => {
-            handle.addEventListener('mousedown', this._handleResizeStart.bind(this));
+    _createRegionElements(region) {
+        region.box = document.createElement('div');
+        region.box.className = 'selection-box';
+        region.box.dataset.regionId = region.id;
+        if (!this.options.enabled) {
+            region.box.classList.add('playback-mode');
+        }
+
+        // Boxes are focusable in selection mode and edited with the keyboard
+        region.box.tabIndex = this.options.enabled ? 0 : -1;
+        region.box.setAttribute('role', 'group');
+        region.box.setAttribute('aria-roledescription', 'selection');
+        region.box.setAttribute('aria-describedby', this.instructionsElement.id);
+        region.box.addEventListener('keydown', this._handleKeyDown.bind(this));
+        region.box.addEventListener('focus', () => {
+            if (this._findRegion(region.id) && region !== this.activeRegion) {
+                this.selectRegion(region.id);
+            }
+        });
+
+        region.labelElement = document.createElement('span');
+        region.labelElement.className = 'selection-label';
+        region.box.appendChild(region.labelElement);
+
+        // Ellipses and polygons are drawn with SVG stretched over the box
+        region.shapeElement = document.createElementNS(SVG_NAMESPACE, 'svg');
+        region.shapeElement.setAttribute('class', 'selection-shape');
+        region.shapeElement.setAttribute('viewBox', '0 0 1 1');
+        region.shapeElement.setAttribute('preserveAspectRatio', 'none');
+        region.shapeElement.setAttribute('aria-hidden', 'true');
+        region.box.appendChild(region.shapeElement);
+        region.vertexHandles = [];
+
+        // Add resize handles for the corners and the edges
+        region.handles = {};
+        ['nw', 'ne', 'sw', 'se', 'n', 'e', 's', 'w'].forEach(position => {
+            const handle = document.createElement('div');
+            handle.className = `resize-handle handle-${position}`;
+            handle.dataset.handle = position;
+            handle.setAttribute('aria-hidden', 'true');
+            handle.addEventListener('pointerdown', this._handleResizeStart.bind(this));
+            region.handles[position] = handle;
+            region.box.appendChild(handle);
         });
 
-        // Document-level handlers are attached dynamically when needed
+        this._applyRegionStyle(region);
+        this._renderShape(region);
+        this.videoWrapper.appendChild(region.box);
     }
 
     /**
-     * Start selection process
-     * @param {MouseEvent} e - The mousedown event
+     * Draw the ellipse or polygon of a region, and a handle on every vertex
+     * of a polygon. Both are placed relative to the box, so they follow it
+     * when it is moved or resized.
+     * @param {Object} region - The region to draw
      * @private
      */
-    _handleSelectionStart(e) {
-        e.preventDefault();
-
-        if (!this.videoElement.src || !this.options.enabled) return;
+    _renderShape(region) {
+        const drafting = !!this._polygonDraft && this._polygonDraft.region === region;
+        region.box.classList.toggle('shape-ellipse', region.shape === 'ellipse');
+        region.box.classList.toggle('shape-polygon', region.shape === 'polygon');
+        region.box.classList.toggle('drafting', drafting);
 
-        const rect = this.videoElement.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
-        
-        // Constrain to video boundaries
-        if (mouseX < 0 || mouseX > rect.width || mouseY < 0 || mouseY > rect.height) {
-            return; // Clicked outside actual video area
+        while (region.shapeElement.firstChild) {
+            region.shapeElement.removeChild(region.shapeElement.firstChild);
         }
-        
-        // Check if we're clicking inside an existing selection
-        const selBoxLeft = parseInt(this.selectionBox.style.left) || 0;
-        const selBoxTop = parseInt(this.selectionBox.style.top) || 0;
-        const selBoxWidth = parseInt(this.selectionBox.style.width) || 0;
-        const selBoxHeight = parseInt(this.selectionBox.style.height) || 0;
-        
-        const insideExistingSelection = 
-            this.selectionBox.style.display === 'block' &&
-            mouseX >= selBoxLeft && 
-            mouseX <= selBoxLeft + selBoxWidth && 
-            mouseY >= selBoxTop && 
-            mouseY <= selBoxTop + selBoxHeight;
-        
-        if (!insideExistingSelection) {
-            // Start new selection
-            this.isSelecting = true;
-            
-            // Store initial mouse position
-            this.startX = mouseX;
-            this.startY = mouseY;
-            
-            // Start showing the selection box right away with minimal dimensions
-            this.selectionBox.style.left = this.startX + 'px';
-            this.selectionBox.style.top = this.startY + 'px';
-            this.selectionBox.style.width = '1px';
-            this.selectionBox.style.height = '1px';
-            this.selectionBox.style.display = 'block';
-            
-            // Track the current values
-            this.selectionLeft = this.startX;
-            this.selectionTop = this.startY;
-            this.selectionWidth = 1;
-            this.selectionHeight = 1;
-            
-            this._updateCoordinates(this.startX, this.startY, 1, 1);
-            
-            // Add document-level event listeners
-            document.addEventListener('mousemove', this._boundDocumentMouseMoveHandler);
+        region.vertexHandles.forEach(handle => handle.remove());
+        region.vertexHandles = [];
+
+        if (region.shape === 'ellipse') {
+            const ellipse = document.createElementNS(SVG_NAMESPACE, 'ellipse');
+            ['cx', 'cy', 'rx', 'ry'].forEach(name => ellipse.setAttribute(name, '0.5'));
+            region.shapeElement.appendChild(ellipse);
+        } else if (region.shape === 'polygon' && region.outline) {
+            // A polygon being drawn stays open until it is closed
+            const polygon = document.createElementNS(SVG_NAMESPACE, drafting ? 'polyline' : 'polygon');
+            polygon.setAttribute('points', region.outline.map(point => `${point.x},${point.y}`).join(' '));
+            region.shapeElement.appendChild(polygon);
+
+            region.outline.forEach((point, index) => {
+                const handle = document.createElement('div');
+                handle.className = 'vertex-handle';
+                handle.dataset.handle = 'vertex';
+                handle.dataset.vertex = index;
+                handle.setAttribute('aria-hidden', 'true');
+                handle.style.left = (point.x * 100) + '%';
+                handle.style.top = (point.y * 100) + '%';
+                handle.addEventListener('pointerdown', this._handleResizeStart.bind(this));
+                region.vertexHandles.push(handle);
+                region.box.appendChild(handle);
+            });
         }
     }
 
     /**
-     * Handle selection box movement
-     * @param {MouseEvent} e - The mousemove event
+     * Apply label and colors of a region to its elements
+     * @param {Object} region - The region to style
      * @private
      */
-    _handleSelectionMove(e) {
-        if (this.isSelecting && this.videoElement.src && this.options.enabled) {
-            e.preventDefault();
-            
-            const rect = this.videoElement.getBoundingClientRect();
-            const currentX = e.clientX - rect.left;
-            const currentY = e.clientY - rect.top;
-            
-            // Constrain to video boundaries
-            const videoRect = this.videoElement.getBoundingClientRect();
-            const constrainedX = Math.min(Math.max(0, currentX), videoRect.width);
-            const constrainedY = Math.min(Math.max(0, currentY), videoRect.height);
-            
-            // Calculate dimensions and position of selection box
-            const width = Math.max(1, Math.abs(constrainedX - this.startX));
-            const height = Math.max(1, Math.abs(constrainedY - this.startY));
-            const left = Math.min(this.startX, constrainedX);
-            const top = Math.min(this.startY, constrainedY);
-            
-            // Update selection box styling
-            this.selectionBox.style.left = left + 'px';
-            this.selectionBox.style.top = top + 'px';
-            this.selectionBox.style.width = width + 'px';
-            this.selectionBox.style.height = height + 'px';
-            
-            // Store this event for mouseup
-            this.lastMoveEvent = {
-                clientX: e.clientX,
-                clientY: e.clientY
-            };
-            
-            // Store values
-            this.selectionLeft = left;
-            this.selectionTop = top;
-            this.selectionWidth = width;
-            this.selectionHeight = height;
-            
-            this._updateCoordinates(left, top, width, height);
+    _applyRegionStyle(region) {
+        region.labelElement.textContent = region.label;
+        region.box.setAttribute('aria-label', this._describeSelection(region));
+
+        // Colors are passed as CSS variables so handles and label pick them up too
+        if (region.color) {
+            region.box.style.setProperty('--selection-color', region.color);
+        } else {
+            region.box.style.removeProperty('--selection-color');
+        }
+        if (region.border) {
+            region.box.style.setProperty('--selection-border', region.border);
+        } else {
+            region.box.style.removeProperty('--selection-border');
         }
     }
 
     /**
-     * End selection process
-     * @param {MouseEvent} e - The mouseup event
+     * Attach event listeners for selection and resizing
      * @private
      */
-    _handleSelectionEnd(e) {
-        e.preventDefault();
-        
-        if (this.isSelecting) {
-            document.removeEventListener('mousemove', this._boundDocumentMouseMoveHandler);
-            
-            if (this.lastMoveEvent) {
-                const event = new MouseEvent('mousemove', this.lastMoveEvent);
-                this.selectionOverlay.dispatchEvent(event);
-            }
-            
-            this.isSelecting = false;
-        }
+    _attachEventListeners() {
+        // Pointer events cover mouse, touch and pen. Drags capture the pointer
+        // on the overlay, so moves and the release are delivered there even
+        // when the pointer leaves the video.
+        this.selectionOverlay.addEventListener('pointerdown', this._handleSelectionStart.bind(this));
+        this.selectionOverlay.addEventListener('pointermove', this._handlePointerMove.bind(this));
+        this.selectionOverlay.addEventListener('pointerup', this._handlePointerEnd.bind(this));
+        this.selectionOverlay.addEventListener('pointercancel', this._handlePointerEnd.bind(this));
+        this.selectionOverlay.addEventListener('lostpointercapture', this._handlePointerEnd.bind(this));
+
+        // A double click closes a polygon being drawn
+        this.selectionOverlay.addEventListener('dblclick', this._handleDoubleClick.bind(this));
+
+        // Keep the browser from scrolling or pinch-zooming the page while dragging
+        this.videoWrapper.addEventListener('touchmove', this._handleTouchMove.bind(this), { passive: false });
+
+        // Zoom with Ctrl/Cmd+wheel or a pinch on trackpads (sent as a wheel with ctrlKey), pan by scrolling
+        this.selectionOverlay.addEventListener('wheel', this._handleWheel.bind(this), { passive: false });
+
+        // Resize handle events are attached per region in _createRegionElements
     }
 
     /**
-     * Handle mouse leaving selection overlay
-     * @param {MouseEvent} e - The mouseleave event
+     * Check whether a pointerdown may start a drag
+     * @param {PointerEvent} e - The pointerdown event
+     * @returns {boolean} - True for the primary pointer pressed with the main button
      * @private
      */
-    _handleSelectionLeave(e) {
-        if (this.isSelecting) {
-            e.preventDefault();
-            // We will continue tracking via document events
-        }
+    _isDragStart(e) {
+        return this.options.enabled && this.activePointerId === null &&
+            e.isPrimary && e.button === 0;
     }
 
     /**
-     * Start resize operation
-     * @param {MouseEvent} e - The mousedown event
+     * Capture the pointer of a drag on the overlay
+     * @param {PointerEvent} e - The pointerdown event
      * @private
      */
-    _handleResizeStart(e) {
-        if (!this.options.enabled) return;
-        
-        e.preventDefault();
-        e.stopPropagation();
-        
-        this.isResizing = true;
-        this.activeHandle = e.target;
-        
-        // Store current selection dimensions
-        this.selectionLeft = parseInt(this.selectionBox.style.left) || 0;
-        this.selectionTop = parseInt(this.selectionBox.style.top) || 0;
-        this.selectionWidth = parseInt(this.selectionBox.style.width) || 0;
-        this.selectionHeight = parseInt(this.selectionBox.style.height) || 0;
-        
-        document.addEventListener('mousemove', this._boundDocumentResizeHandler);
+    _capturePointer(e) {
+        this.activePointerId = e.pointerId;
+        this.selectionOverlay.setPointerCapture(e.pointerId);
+        this.videoWrapper.classList.add('dragging');
+        this._dragStartState = this._snapshotRegion(this.activeRegion);
+
+        this._emit('selectionstart', {
+            action: this.isSelecting ? 'draw' : (this.isResizing ? 'resize' : 'move'),
+            handle: this.activeHandle,
+            region: this._getRegionInfo(this.activeRegion)
+        });
     }
 
     /**
-     * Document-level mousemove handler for selection
-     * @param {MouseEvent} e - The mousemove event
+     * Start selection process
+     * @param {PointerEvent} e - The pointerdown event
      * @private
      */
-    _documentMouseMoveHandler(e) {
-        if (this.isSelecting && this.videoElement.src && this.options.enabled) {
-            const rect = this.videoElement.getBoundingClientRect();
-            const currentX = e.clientX - rect.left;
-            const currentY = e.clientY - rect.top;
-            
-            // Constrain to video boundaries
-            const constrainedX = Math.min(Math.max(0, currentX), rect.width);
-            const constrainedY = Math.min(Math.max(0, currentY), rect.height);
-            
-            // Calculate dimensions and position of selection box
-            const width = Math.max(1, Math.abs(constrainedX - this.startX));
-            const height = Math.max(1, Math.abs(constrainedY - this.startY));
-            const left = Math.min(this.startX, constrainedX);
-            const top = Math.min(this.startY, constrainedY);
-            
-            // Update selection box styling
-            this.selectionBox.style.left = left + 'px';
-            this.selectionBox.style.top = top + 'px';
-            this.selectionBox.style.width = width + 'px';
-            this.selectionBox.style.height = height + 'px';
-            
-            // Store values
-            this.selectionLeft = left;
-            this.selectionTop = top;
-            this.selectionWidth = width;
-            this.selectionHeight = height;
+    _handleSelectionStart(e) {
+        e.preventDefault();
+
+        if (!this._hasMedia() || this._trackTouchStart(e)) return;
+
+        // The middle button pans a zoomed video
+        if (e.button === 1 && this.options.enabled && this.activePointerId === null && this.view.zoom > 1) {
+            this._startPan(e);
+            return;
+        }
+
+        if (!this._isDragStart(e)) return;
+
+        const layout = this._getContentLayout();
+        if (!layout) return;
+
+        const pointer = this._clientToElement(e.clientX, e.clientY);
+        const pointerX = pointer.x - layout.visible.left;
+        const pointerY = pointer.y - layout.visible.top;
+        
+        // Constrain to the visible video content
+        if (pointerX < 0 || pointerX > layout.visible.width || pointerY < 0 || pointerY > layout.visible.height) {
+            return; // Clicked outside actual video area, e.g. on letterbox bars
+        }
+
+        const point = this._clientToSource(e.clientX, e.clientY);
+        if (!point) return;
+
+        // Clicks add the vertices of a polygon being drawn
+        if (this._polygonDraft) {
+            this._addPolygonVertex(this._snapPoint(point));
+            return;
+        }
+        
+        // Check if we're clicking inside an existing selection
+        const hitRegion = this._hitTestRegions(point.x, point.y);
+        
+        if (hitRegion) {
+            // Pressing on a box selects its region and starts moving it.
+            // Moves are snapped as a whole, so the unsnapped start point is kept.
+            if (hitRegion !== this.activeRegion) {
+                this.selectRegion(hitRegion.id);
+            }
             
-            // Store this event for mouseup
-            this.lastMoveEvent = {
-                clientX: e.clientX,
-                clientY: e.clientY
-            };
+            this.isMoving = true;
+            this.startX = point.x;
+            this.startY = point.y;
+            this.dragStartSelection = { ...hitRegion.selection };
+        } else if (this.activeRegion.shape === 'polygon') {
+            // Polygons are drawn by clicking their vertices, without a drag
+            this._startPolygon(this._snapPoint(point));
+            return;
+        } else {
+            // Start new selection for the active region
+            this.isSelecting = true;
             
-            this._updateCoordinates(left, top, width, height);
+            // Store initial pointer position in original video coordinates
+            const snappedPoint = this._snapPoint(point);
+            this.startX = snappedPoint.x;
+            this.startY = snappedPoint.y;
+        }
+
+        this._capturePointer(e);
+
+        // Start showing a new selection box right away with minimal dimensions
+        if (this.isSelecting) {
+            this._applySelection(this.activeRegion, rectFromAnchor(
+                this._getGeometryConstraints(), this.startX, this.startY, 1, 1, 1, 1, this._violations
+            ));
         }
     }
 
     /**
-     * Document-level mousemove handler for resize operations
-     * @param {MouseEvent} e - The mousemove event
+     * Find the region under a point. The active region wins when it contains
+     * the point, otherwise the smallest region does, so that boxes nested in
+     * larger ones stay reachable.
+     * @param {number} x - X position in original video coordinates
+     * @param {number} y - Y position in original video coordinates
+     * @returns {Object|null} - The region under the point, or null
      * @private
      */
-    _documentResizeHandler(e) {
-        if (this.isResizing && this.videoElement.src && this.options.enabled) {
-            e.preventDefault();
-            
-            const rect = this.videoElement.getBoundingClientRect();
-            const currentX = e.clientX - rect.left;
-            const currentY = e.clientY - rect.top;
-            
-            // Constrain to video boundaries
-            const constrainedX = Math.min(Math.max(0, currentX), rect.width);
-            const constrainedY = Math.min(Math.max(0, currentY), rect.height);
-            
-            let newLeft = this.selectionLeft;
-            let newTop = this.selectionTop;
-            let newWidth = this.selectionWidth;
-            let newHeight = this.selectionHeight;
-            
-            // Handle resizing based on which handle is active
-            if (this.activeHandle === this.handleNW) {
-                // For NW handle, the bottom-right corner is fixed
-                // and we adjust top-left position and dimensions
-                newWidth = this.selectionLeft + this.selectionWidth - constrainedX;
-                newHeight = this.selectionTop + this.selectionHeight - constrainedY;
-                newLeft = constrainedX;
-                newTop = constrainedY;
-            } else if (this.activeHandle === this.handleNE) {
-                // For NE handle, the bottom-left corner is fixed
-                // We adjust width and top position
-                newWidth = constrainedX - this.selectionLeft;
-                newHeight = this.selectionTop + this.selectionHeight - constrainedY;
-                newTop = constrainedY;
-            } else if (this.activeHandle === this.handleSW) {
-                // For SW handle, the top-right corner is fixed
-                // We adjust width and left position
-                newWidth = this.selectionLeft + this.selectionWidth - constrainedX;
-                newHeight = constrainedY - this.selectionTop;
-                newLeft = constrainedX;
-            } else if (this.activeHandle === this.handleSE) {
-                // For SE handle, the top-left corner is fixed
-                // We just adjust width and height
-                newWidth = constrainedX - this.selectionLeft;
-                newHeight = constrainedY - this.selectionTop;
-            }
-            
-            // Ensure minimum size of 1px
-            if (newWidth < 1) {
-                newWidth = 1;
-                if (this.activeHandle === this.handleNW || this.activeHandle === this.handleSW) {
-                    newLeft = this.selectionLeft + this.selectionWidth - 1;
-                }
-            }
-            
-            if (newHeight < 1) {
-                newHeight = 1;
-                if (this.activeHandle === this.handleNW || this.activeHandle === this.handleNE) {
-                    newTop = this.selectionTop + this.selectionHeight - 1;
-                }
-            }
-            
-            // Update selection box styling
-            this.selectionBox.style.left = newLeft + 'px';
-            this.selectionBox.style.top = newTop + 'px';
-            this.selectionBox.style.width = newWidth + 'px';
-            this.selectionBox.style.height = newHeight + 'px';
-            
-            // Store the values
-            this.selectionLeft = newLeft;
-            this.selectionTop = newTop;
-            this.selectionWidth = newWidth;
-            this.selectionHeight = newHeight;
-            
-            this._updateCoordinates(newLeft, newTop, newWidth, newHeight);
-        }
+    _hitTestRegions(x, y) {
+        const hits = this.regions.filter(region => {
+            return region.selection && region.box.style.display === 'block' &&
+                containsPoint(region.selection, { x, y }, region.shape, region.outline);
+        });
+
+        if (hits.length === 0) return null;
+        if (hits.includes(this.activeRegion)) return this.activeRegion;
+
+        const area = region => region.selection.width * region.selection.height;
+        return hits.reduce((smallest, region) => area(region) < area(smallest) ? region : smallest);
     }
 
     /**
-     * Document-level mouseup handler
-     * @param {MouseEvent} e - The mouseup event
+     * Start resize operation, or moving a vertex of a polygon
+     * @param {PointerEvent} e - The pointerdown event
      * @private
      */
-    _documentMouseUpHandler(e) {
-        // Handle resizing end
-        if (this.isResizing) {
-            document.removeEventListener('mousemove', this._boundDocumentResizeHandler);
-            this.isResizing = false;
-            this.activeHandle = null;
+    _handleResizeStart(e) {
+        if (this._trackTouchStart(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+            return;
         }
+        if (!this._isDragStart(e) || this._polygonDraft) return;
         
-        // Handle selection end if mouse released outside overlay
-        if (this.isSelecting) {
-            this.isSelecting = false;
-            
-            document.removeEventListener('mousemove', this._boundDocumentMouseMoveHandler);
-            
-            // Try to process the final position by simulating a mousemove on the overlay
-            if (this.lastMoveEvent) {
-                const event = new MouseEvent('mousemove', {
-                    clientX: this.lastMoveEvent.clientX,
-                    clientY: this.lastMoveEvent.clientY
-                });
-                this.selectionOverlay.dispatchEvent(event);
-            }
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // Resizing always applies to the region the handle belongs to
+        const regionId = e.target.closest('.selection-box').dataset.regionId;
+        if (regionId !== this.activeRegion.id) {
+            this.selectRegion(regionId);
         }
+        if (!this.activeRegion.selection) return;
+        
+        this.isResizing = true;
+        this.activeHandle = e.target.dataset.handle;
+        this.activeVertex = this.activeHandle === 'vertex' ? Number(e.target.dataset.vertex) : null;
+        
+        // Store the selection as it was when the resize started
+        this.dragStartSelection = { ...this.activeRegion.selection };
+        
+        this._capturePointer(e);
     }
 
     /**
-     * Handle resize events from ResizeObserver
+     * Handle pointer movement over the overlay, or anywhere while a drag has the pointer captured
+     * @param {PointerEvent} e - The pointermove event
      * @private
      */
-    _handleResize() {
-        if (this.options.resizeDebounce > 0) {
-            if (this._resizeTimeout) clearTimeout(this._resizeTimeout);
-            this._resizeTimeout = setTimeout(() => this._performResizeUpdate(), this.options.resizeDebounce);
-        } else {
-            this._performResizeUpdate();
+    _handlePointerMove(e) {
+        if (this._touchPoints.has(e.pointerId)) {
+            this._touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this._pinch) {
+                e.preventDefault();
+                this._updatePinch();
+                return;
+            }
+        }
+
+        if (e.pointerId !== this.activePointerId) {
+            // Pointers that don't drag only update the hover cursor
+            if (this.activePointerId === null) {
+                this._updateHoverCursor(e);
+            }
+            return;
+        }
+
+        if (!this._hasMedia() || !this.options.enabled) return;
+        e.preventDefault();
+
+        if (this.isPanning) {
+            this._setView(
+                this.view.zoom,
+                this._panStart.x + e.clientX - this._panStart.clientX,
+                this._panStart.y + e.clientY - this._panStart.clientY
+            );
+        } else if (this.isSelecting) {
+            this._updateDrawnSelection(e);
+            this._updateLoupe(e);
+        } else if (this.isResizing) {
+            this._updateResizedSelection(e);
+            this._updateLoupe(e);
+        } else if (this.isMoving) {
+            this._updateMovedSelection(e);
         }
     }
 
     /**
-     * Update coordinates and trigger onChange callback
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {number} width - Width
-     * @param {number} height - Height
+     * Show the move cursor while the pointer is over a selection box
+     * @param {PointerEvent} e - The pointermove event
      * @private
      */
-    _updateCoordinates(x, y, width, height) {
-        // Try to get dimensions if they're still not available
-        if ((!this.originalVideoWidth || !this.originalVideoHeight) && this.videoElement.videoWidth > 0 && this.videoElement.videoHeight > 0) {
-            this.originalVideoWidth = this.videoElement.videoWidth;
-            this.originalVideoHeight = this.videoElement.videoHeight;
-        }
-        
-        // Convert to original video dimensions
-        if (this.videoElement.src && this.originalVideoWidth && this.originalVideoHeight) {
-            // Calculate scale factors based on the actual displayed video size
-            const videoDisplayWidth = this.videoElement.clientWidth;
-            const videoDisplayHeight = this.videoElement.clientHeight;
-
-            // Ensure we're not dividing by zero
-            if (videoDisplayWidth > 0 && videoDisplayHeight > 0) {
-                const scaleX = this.originalVideoWidth / videoDisplayWidth;
-                const scaleY = this.originalVideoHeight / videoDisplayHeight;
-
-                // Constrain selection to video dimensions
-                const constrainedX = Math.min(Math.max(0, x), videoDisplayWidth);
-                const constrainedY = Math.min(Math.max(0, y), videoDisplayHeight);
-
-                // Constrain selection width/height
-                const constrainedWidth = Math.min(width, videoDisplayWidth - constrainedX);
-                const constrainedHeight = Math.min(height, videoDisplayHeight - constrainedY);
-
-                // Calculate original coordinates (absolute)
-                const originalX = Math.round(constrainedX * scaleX);
-                const originalY = Math.round(constrainedY * scaleY);
-                const originalW = Math.round(constrainedWidth * scaleX);
-                const originalH = Math.round(constrainedHeight * scaleY);
-                const originalRight = this.originalVideoWidth - (originalX + originalW);
-                const originalBottom = this.originalVideoHeight - (originalY + originalH);
-
-                // Store current selection in original video coordinates
-                this.currentSelection = {
-                    left: originalX,
-                    top: originalY,
-                    width: originalW,
-                    height: originalH
-                };
-
-                // Calculate relative coordinates (0..1)
-                const leftRel = +(originalX / this.originalVideoWidth).toFixed(6);
-                const topRel = +(originalY / this.originalVideoHeight).toFixed(6);
-                const widthRel = +(originalW / this.originalVideoWidth).toFixed(6);
-                const heightRel = +(originalH / this.originalVideoHeight).toFixed(6);
-                const rightRel = +(originalRight / this.originalVideoWidth).toFixed(6);
-                const bottomRel = +(originalBottom / this.originalVideoHeight).toFixed(6);
-
-                // Create selection data object
-                const selectionData = {
-                    absolute: {
-                        left: originalX,
-                        top: originalY,
-                        width: originalW,
-                        height: originalH,
-                        right: originalRight,
-                        bottom: originalBottom
-                    },
-                    relative: {
-                        left: leftRel,
-                        top: topRel,
-                        width: widthRel,
-                        height: heightRel,
-                        right: rightRel,
-                        bottom: bottomRel
-                    },
-                    video: {
-                        width: this.originalVideoWidth,
-                        height: this.originalVideoHeight
-                    }
-                };
-
-                // Call onChange callback
-                if (typeof this.options.onChange === 'function') {
-                    this.options.onChange(selectionData);
-                }
-            }
-        }
+    _updateHoverCursor(e) {
+        const point = this._clientToSource(e.clientX, e.clientY);
+        const overSelection = !!point && !!this._hitTestRegions(point.x, point.y);
+        this.selectionOverlay.classList.toggle('over-selection', overSelection);
     }
 
     /**
-     * Enable selection mode
-     * @returns {VideoAreaSelector} - Returns this for method chaining
+     * Grow the selection being drawn from its start point towards the pointer
+     * @param {PointerEvent} e - The pointermove event
+     * @private
      */
-    enable() {
-        this.options.enabled = true;
-        this.selectionOverlay.style.display = 'block';
-        document.addEventListener('mouseup', this._boundDocumentMouseUpHandler);
-        this.selectionBox.classList.remove('playback-mode');
-        return this;
+    _updateDrawnSelection(e) {
+        const point = this._snapPoint(this._clientToSource(e.clientX, e.clientY));
+        if (!point) return;
+
+        const dirX = point.x < this.startX ? -1 : 1;
+        const dirY = point.y < this.startY ? -1 : 1;
+        const selection = rectFromAnchor(
+            this._getGeometryConstraints(), this.startX, this.startY, dirX, dirY,
+            Math.abs(point.x - this.startX), Math.abs(point.y - this.startY), this._violations
+        );
+
+        this._applySelection(this.activeRegion, selection);
     }
-    
+
     /**
-     * Disable selection mode
-     * @returns {VideoAreaSelector} - Returns this for method chaining
+     * Resize the selection by the active handle
+     * @param {PointerEvent} e - The pointermove event
+     * @private
      */
-    disable() {
-        this.options.enabled = false;
-        this.selectionOverlay.style.display = 'none';
-        
-        // Add playback mode class to selection box if it exists
-        if (this.selectionBox.style.display === 'block') {
-            this.selectionBox.classList.add('playback-mode');
+    _updateResizedSelection(e) {
+        const point = this._snapPoint(this._clientToSource(e.clientX, e.clientY));
+        if (!point) return;
+
+        // Vertex handles move a single vertex of a polygon
+        if (this.activeHandle === 'vertex') {
+            const points = outlineToPoints(this.activeRegion.outline, this.activeRegion.selection);
+            points[this.activeVertex] = point;
+            this._applyPolygon(this.activeRegion, points);
+            return;
         }
         
-        document.removeEventListener('mouseup', this._boundDocumentMouseUpHandler);
-        return this;
+        const selection = resizeSelection(
+            this._getGeometryConstraints(), this.activeHandle, point, this.dragStartSelection, this._violations
+        );
+        this._applySelection(this.activeRegion, selection);
     }
-    
+
     /**
-     * Get the current selection
-     * @returns {Object|null} - Selection data with absolute and relative coordinates, or null if no selection
+     * Move the selection by the distance the pointer moved
+     * @param {PointerEvent} e - The pointermove event
+     * @private
      */
-    getSelection() {
-        if (this.selectionBox.style.display !== 'block') {
-            return null; // No selection exists
-        }
-        
-        // Calculate the selection data
-        const x = parseInt(this.selectionBox.style.left) || 0;
-        const y = parseInt(this.selectionBox.style.top) || 0;
-        const width = parseInt(this.selectionBox.style.width) || 0;
-        const height = parseInt(this.selectionBox.style.height) || 0;
+    _updateMovedSelection(e) {
+        const point = this._clientToSource(e.clientX, e.clientY);
+        if (!point) return;
         
-        // Check if video dimensions are available
-        if (!this.originalVideoWidth || !this.originalVideoHeight) {
-            this.originalVideoWidth = this.videoElement.videoWidth;
-            this.originalVideoHeight = this.videoElement.videoHeight;
-        }
-        
-        // Convert to original video dimensions
-        if (this.videoElement.src && this.originalVideoWidth && this.originalVideoHeight) {
-            const videoDisplayWidth = this.videoElement.clientWidth;
-            const videoDisplayHeight = this.videoElement.clientHeight;
-
-            if (videoDisplayWidth > 0 && videoDisplayHeight > 0) {
-                const scaleX = this.originalVideoWidth / videoDisplayWidth;
-                const scaleY = this.originalVideoHeight / videoDisplayHeight;
-
-                // Calculate original coordinates (absolute)
-                const originalX = Math.round(x * scaleX);
-                const originalY = Math.round(y * scaleY);
-                const originalW = Math.round(width * scaleX);
-                const originalH = Math.round(height * scaleY);
-                const originalRight = this.originalVideoWidth - (originalX + originalW);
-                const originalBottom = this.originalVideoHeight - (originalY + originalH);
-
-                // Calculate relative coordinates (0..1)
-                const leftRel = +(originalX / this.originalVideoWidth).toFixed(6);
-                const topRel = +(originalY / this.originalVideoHeight).toFixed(6);
-                const widthRel = +(originalW / this.originalVideoWidth).toFixed(6);
-                const heightRel = +(originalH / this.originalVideoHeight).toFixed(6);
-                const rightRel = +(originalRight / this.originalVideoWidth).toFixed(6);
-                const bottomRel = +(originalBottom / this.originalVideoHeight).toFixed(6);
-
-                return {
-                    absolute: {
-                        left: originalX,
-                        top: originalY,
-                        width: originalW,
-                        height: originalH,
-                        right: originalRight,
-                        bottom: originalBottom
-                    },
-                    relative: {
-                        left: leftRel,
-                        top: topRel,
-                        width: widthRel,
-                        height: heightRel,
-                        right: rightRel,
-                        bottom: bottomRel
-                    },
-                    video: {
-                        width: this.originalVideoWidth,
-                        height: this.originalVideoHeight
-                    }
-                };
-            }
-        }
-        
-        return null;
+        // Keep the box inside the video
+        const constraints = this._getGeometryConstraints();
+        const moved = moveSelection(
+            constraints, this.dragStartSelection, point.x - this.startX, point.y - this.startY, this._violations
+        );
+        this._applySelection(this.activeRegion, snapMovedSelection(
+            constraints, moved, this._getSnapThreshold(), this._violations
+        ));
     }
-    
+
     /**
-     * Set the selection programmatically
-     * @param {Object} selection - The selection to set
-     * @param {Number} selection.left - Left coordinate in original video dimensions
-     * @param {Number} selection.top - Top coordinate in original video dimensions
-     * @param {Number} selection.width - Width in original video dimensions
-     * @param {Number} selection.height - Height in original video dimensions
-     * @returns {VideoAreaSelector} - Returns this for method chaining
+     * End a drag when its pointer is released, cancelled or loses capture
+     * @param {PointerEvent} e - The pointerup, pointercancel or lostpointercapture event
+     * @private
      */
-    setSelection({left, top, width, height}) {
-        if (this.videoElement.src && this.originalVideoWidth && this.originalVideoHeight) {
-            // Calculate scale factors based on the actual displayed video size
-            const videoDisplayWidth = this.videoElement.clientWidth;
-            const videoDisplayHeight = this.videoElement.clientHeight;
+    _handlePointerEnd(e) {
+        // Capture is lost when a drag turns into a pinch, but the finger stays down
+        if (e.type !== 'lostpointercapture' && this._touchPoints.delete(e.pointerId) && this._pinch) {
+            this._endPinch();
+            return;
+        }
+
+        if (e.pointerId !== this.activePointerId) return;
 
-            if (videoDisplayWidth > 0 && videoDisplayHeight > 0) {
-                const scaleX = videoDisplayWidth / this.originalVideoWidth;
-                const scaleY = videoDisplayHeight / this.originalVideoHeight;
+        // Process the final position of the pointer
+        if (e.type === 'pointerup') {
+            this._handlePointerMove(e);
+        }
 
-                const {
-                    displayLeft, displayTop, displayWidth, displayHeight
-                } = this._updateSelectionRender({ left, top, width, height }, scaleX, scaleY);
-                this.selectionBox.style.display = 'block';
+        this._endDrag();
 
-                // Update coordinates
-                this._updateCoordinates(displayLeft, displayTop, displayWidth, displayHeight);
-            }
+        // Keep keyboard editing available on the box that was just dragged
+        if (this.activeRegion.selection) {
+            this.activeRegion.box.focus({ preventScroll: true });
         }
-        
-        return this;
     }
 
     /**
-     * Perform the actual update of selection box on resize
+     * Move or resize a focused selection box with the arrow keys
+     * @param {KeyboardEvent} e - The keydown event
      * @private
      */
-    _performResizeUpdate() {
-        if (!this.currentSelection || !this.videoElement.src) return;
+    _handleKeyDown(e) {
+        const direction = ARROW_KEYS[e.key];
+        const region = this._findRegion(e.currentTarget.dataset.regionId);
 
-        const videoDisplayWidth = this.videoElement.clientWidth;
-        const videoDisplayHeight = this.videoElement.clientHeight;
-
-        if (videoDisplayWidth > 0 && videoDisplayHeight > 0 && this.originalVideoWidth > 0 && this.originalVideoHeight > 0) {
-            const scaleX = videoDisplayWidth / this.originalVideoWidth;
-            const scaleY = videoDisplayHeight / this.originalVideoHeight;
-
-            this._updateSelectionRender(this.currentSelection, scaleX, scaleY);
+        // Enter closes a polygon being drawn, Escape discards it and
+        // Backspace removes its last vertex
+        const draft = this._polygonDraft;
+        if (draft && draft.region === region) {
+            if (e.key === 'Enter' || e.key === 'Escape' || e.key === 'Backspace') {
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.key === 'Backspace' && draft.points.length > 1) {
+                    draft.points.pop();
+                    this._applyPolygon(region, draft.points);
+                } else {
+                    this._finishPolygon(e.key !== 'Enter');
+                }
+            }
+            return;
         }
-    }
 
-    _updateSelectionRender(selectionDimensions, scaleX, scaleY) {
-        // Convert to display dimensions
-        const displayLeft = Math.round(selectionDimensions.left * scaleX);
-        const displayTop = Math.round(selectionDimensions.top * scaleY);
-        const displayWidth = Math.round(selectionDimensions.width * scaleX);
-        const displayHeight = Math.round(selectionDimensions.height * scaleY);
+        if (!direction || !region || !region.selection || !this.options.enabled || !this._getDisplayScale()) return;
 
-        // Update selection box
-        this.selectionBox.style.left = displayLeft + 'px';
-        this.selectionBox.style.top = displayTop + 'px';
-        this.selectionBox.style.width = displayWidth + 'px';
-        this.selectionBox.style.height = displayHeight + 'px';
+        // Arrow keys are handled here instead of by the page (e.g. video seeking)
+        e.preventDefault();
+        e.stopPropagation();
 
-        // Update internal state
-        this.selectionLeft = displayLeft;
-        this.selectionTop = displayTop;
-        this.selectionWidth = displayWidth;
-        this.selectionHeight = displayHeight;
+        if (region !== this.activeRegion) {
+            this.selectRegion(region.id);
+        }
 
-        return { displayLeft, displayTop, displayWidth, displayHeight };
+        const [dx, dy] = direction;
+        const step = e.shiftKey ? 10 : 1;
+        const start = region.selection;
+        const constraints = this._getGeometryConstraints();
+        let selection;
+
+        if (e.altKey || e.ctrlKey || e.metaKey) {
+            // Right and down grow the box, left and up shrink it, in steps
+            // of whole ratio units or snapTo multiples
+            const unit = this.aspectRatio
+                ? (dx ? this.aspectRatio.width : this.aspectRatio.height) * getAspectRatioUnitStep(constraints)
+                : getSizeStep(constraints);
+            selection = dx
+                ? rectFromEdge(constraints, 'e', { x: start.left + start.width + dx * step * unit, y: 0 }, start, this._violations)
+                : rectFromEdge(constraints, 's', { x: 0, y: start.top + start.height + dy * step * unit }, start, this._violations);
+        } else {
+            selection = moveSelection(constraints, start, dx * step, dy * step, this._violations);
+        }
+
+        const before = this._snapshotRegion(region);
+        this._applySelection(region, selection);
+        this._commitSelection(before);
+        this._announceSelection(region);
+    }
+
+    /**
+     * Describe a region and its coordinates in original video pixels
+     * @param {Object} region - The region to describe
+     * @returns {String} - Text for screen readers
+     * @private
+     */
+    _describeSelection(region) {
+        const selection = region.selection;
+        if (!selection) {
+            return `${region.label}: no selection`;
+        }
+        const shape = region.shape === 'rectangle' ? '' : `${region.shape} in `;
+        return `${region.label}: ${shape}left ${selection.left}, top ${selection.top}, ` +
+            `width ${selection.width}, height ${selection.height} video pixels`;
+    }
+
+    /**
+     * Announce the coordinates of a region through the live region
+     * @param {Object} region - The region to announce
+     * @private
+     */
+    _announceSelection(region) {
+        this.liveRegion.textContent = this._describeSelection(region);
+    }
+
+    /**
+     * Finish the current drag and commit its result
+     * @param {boolean} [cancel] - Put the selection back as it was when the drag started instead
+     * @private
+     */
+    _endDrag(cancel = false) {
+        if (this.activePointerId === null) return;
+
+        const pointerId = this.activePointerId;
+        const wasPanning = this.isPanning;
+        const wasMoved = this.isMoving && this.activeRegion.selection &&
+            (this.activeRegion.selection.left !== this.dragStartSelection.left ||
+             this.activeRegion.selection.top !== this.dragStartSelection.top);
+        const edited = !cancel && (this.isSelecting || this.isResizing || wasMoved);
+
+        this.activePointerId = null;
+        this.isSelecting = false;
+        this.isResizing = false;
+        this.isMoving = false;
+        this.isPanning = false;
+        this.activeHandle = null;
+        this.activeVertex = null;
+        this.videoWrapper.classList.remove('dragging', 'panning');
+        this.loupeElement.style.display = 'none';
+
+        if (this.selectionOverlay.hasPointerCapture(pointerId)) {
+            this.selectionOverlay.releasePointerCapture(pointerId);
+        }
+
+        // Panning doesn't change selections
+        if (wasPanning) return;
+
+        if (cancel) {
+            this._applySnapshot(this.activeRegion, this._dragStartState);
+        }
+
+        // A click on a box without dragging leaves the selection as it was
+        const violations = this._dragViolations;
+        this._dragViolations = [];
+        if (edited) {
+            this._commitSelection(this._dragStartState);
+            this._announceSelection(this.activeRegion);
+            this._emitViolations(this.activeRegion, violations);
+        } else if (this.activeRegion.selection) {
+            this._emit('selectionend', { ...this._getRegionData(this.activeRegion), changed: false });
+        }
+    }
+
+    /**
+     * Prevent touch scrolling and pinch-zoom while a drag is in progress
+     * @param {TouchEvent} e - The touchmove event
+     * @private
+     */
+    _handleTouchMove(e) {
+        if (this.activePointerId !== null || this._pinch) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Close a polygon being drawn on a double click
+     * @param {MouseEvent} e - The dblclick event
+     * @private
+     */
+    _handleDoubleClick(e) {
+        if (this._polygonDraft) {
+            e.preventDefault();
+            this._finishPolygon();
+        }
+    }
+
+    /**
+     * Start drawing a polygon for the active region, replacing its selection
+     * @param {Object} point - First vertex {x, y} in original video coordinates
+     * @private
+     */
+    _startPolygon(point) {
+        const region = this.activeRegion;
+        this._polygonDraft = { region, before: this._snapshotRegion(region), points: [] };
+        this._emit('selectionstart', {
+            action: 'draw',
+            handle: null,
+            region: this._getRegionInfo(region)
+        });
+        this._addPolygonVertex(point);
+    }
+
+    /**
+     * Add a vertex to the polygon being drawn, or close it when the point is on its first vertex
+     * @param {Object} point - Vertex {x, y} in original video coordinates
+     * @private
+     */
+    _addPolygonVertex(point) {
+        const draft = this._polygonDraft;
+        const vertex = clampPoint(this._getGeometryConstraints(), point);
+        const first = draft.points[0];
+        const last = draft.points[draft.points.length - 1];
+        const scale = this._getDisplayScale();
+
+        if (draft.points.length >= 3 && scale &&
+            Math.abs(vertex.x - first.x) * scale.x <= CLOSE_POLYGON_DISTANCE &&
+            Math.abs(vertex.y - first.y) * scale.y <= CLOSE_POLYGON_DISTANCE) {
+            this._finishPolygon();
+            return;
+        }
+
+        // The second click of a double click lands on the vertex just added
+        if (last && last.x === vertex.x && last.y === vertex.y) return;
+
+        draft.points.push(vertex);
+        this._applyPolygon(draft.region, draft.points);
+
+        // Enter, Escape and Backspace are handled by the focused box
+        draft.region.box.focus({ preventScroll: true });
+    }
+
+    /**
+     * Close the polygon being drawn and commit it. Polygons with fewer than
+     * three vertices are discarded.
+     * @param {boolean} [cancel] - Put the region back as it was before drawing instead
+     * @private
+     */
+    _finishPolygon(cancel = false) {
+        const draft = this._polygonDraft;
+        if (!draft) return;
+
+        this._polygonDraft = null;
+        const region = draft.region;
+
+        if (cancel || draft.points.length < 3) {
+            this._applySnapshot(region, draft.before);
+            if (region.selection) {
+                this._emit('selectionend', { ...this._getRegionData(region), changed: false });
+            }
+            return;
+        }
+
+        this._renderShape(region);
+        this._commitSelection(draft.before);
+        this._announceSelection(region);
+    }
+
+    /**
+     * Track a touch that goes down, and start a pinch when it is the second one
+     * @param {PointerEvent} e - The pointerdown event
+     * @returns {boolean} - True when the touch started a pinch
+     * @private
+     */
+    _trackTouchStart(e) {
+        if (e.pointerType !== 'touch') return false;
+
+        this._touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this._touchPoints.size !== 2 || !this.options.zoomable || !this.options.enabled) {
+            return false;
+        }
+
+        // A second finger turns the drag of the first one into a pinch
+        this._endDrag(true);
+
+        const [a, b] = [...this._touchPoints.values()];
+        this._pinch = {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            view: { ...this.view }
+        };
+        this._touchPoints.forEach((point, pointerId) => this.selectionOverlay.setPointerCapture(pointerId));
+        this.videoWrapper.classList.add('dragging');
+        return true;
+    }
+
+    /**
+     * Zoom by the change of distance between the two fingers of a pinch,
+     * and pan by the movement of their center
+     * @private
+     */
+    _updatePinch() {
+        const [a, b] = [...this._touchPoints.values()];
+        const start = this._pinch;
+        const startCenter = this._clientToElement(start.center.x, start.center.y);
+        const center = this._clientToElement((a.x + b.x) / 2, (a.y + b.y) / 2);
+        const zoom = this._clampZoom(start.view.zoom * Math.hypot(b.x - a.x, b.y - a.y) / start.distance);
+
+        // Keep the point under the start center under the fingers
+        const pointX = (startCenter.x - start.view.x) / start.view.zoom;
+        const pointY = (startCenter.y - start.view.y) / start.view.zoom;
+        this._setView(zoom, center.x - pointX * zoom, center.y - pointY * zoom);
+    }
+
+    /**
+     * End a pinch when one of its fingers is lifted. The other finger does
+     * nothing until it is lifted too.
+     * @private
+     */
+    _endPinch() {
+        this._pinch = null;
+        this.videoWrapper.classList.remove('dragging');
+        this._touchPoints.forEach((point, pointerId) => {
+            if (this.selectionOverlay.hasPointerCapture(pointerId)) {
+                this.selectionOverlay.releasePointerCapture(pointerId);
+            }
+        });
+    }
+
+    /**
+     * Start panning a zoomed video
+     * @param {PointerEvent} e - The pointerdown event
+     * @private
+     */
+    _startPan(e) {
+        this.isPanning = true;
+        this.activePointerId = e.pointerId;
+        this._panStart = { clientX: e.clientX, clientY: e.clientY, x: this.view.x, y: this.view.y };
+        this.selectionOverlay.setPointerCapture(e.pointerId);
+        this.videoWrapper.classList.add('dragging', 'panning');
+    }
+
+    /**
+     * Zoom around the pointer with Ctrl/Cmd+wheel or a trackpad pinch, and pan a
+     * zoomed video with plain scrolling. Scrolling an unzoomed video scrolls the page.
+     * @param {WheelEvent} e - The wheel event
+     * @private
+     */
+    _handleWheel(e) {
+        if (!this.options.zoomable || !this.options.enabled || !this._getDisplayScale()) return;
+
+        // Deltas in lines or pages are converted to roughly the same distance in pixels
+        const scale = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? 400 : 1);
+        const isZoom = e.ctrlKey || e.metaKey;
+        if (!isZoom) {
+            if (this.view.zoom <= 1) return;
+            e.preventDefault();
+            this._setView(this.view.zoom, this.view.x - e.deltaX * scale, this.view.y - e.deltaY * scale);
+            return;
+        }
+        e.preventDefault();
+
+        const delta = e.deltaY * scale;
+        const zoom = this._clampZoom(this.view.zoom * Math.exp(-delta * 0.002));
+        const point = this._clientToElement(e.clientX, e.clientY);
+
+        // Keep the point under the pointer in place
+        this._setView(
+            zoom,
+            point.x - (point.x - this.view.x) / this.view.zoom * zoom,
+            point.y - (point.y - this.view.y) / this.view.zoom * zoom
+        );
+    }
+
+    /**
+     * Finish a user edit. While a keyframe track exists, the edited box
+     * becomes the keyframe at the current time.
+     * @param {Object} before - Snapshot of the active region before the edit, for the history
+     * @private
+     */
+    _commitSelection(before) {
+        const region = this.activeRegion;
+        if (!region.selection) return;
+
+        if (region.track.length > 0) {
+            this.addKeyframe(region.selection);
+        }
+
+        this._recordHistory(region, before);
+        this._emit('selectionend', { ...this._getRegionData(region), changed: true });
+    }
+
+    /**
+     * Handle resize events from ResizeObserver
+     * @private
+     */
+    _handleResize() {
+        if (this.options.resizeDebounce > 0) {
+            if (this._resizeTimeout) clearTimeout(this._resizeTimeout);
+            this._resizeTimeout = setTimeout(() => this._performResizeUpdate(), this.options.resizeDebounce);
+        } else {
+            this._performResizeUpdate();
+        }
+    }
+
+    /**
+     * Read the media dimensions if they're still not available
+     * @private
+     */
+    _refreshVideoDimensions() {
+        const { width, height } = this._getMediaSize();
+        if ((!this.originalVideoWidth || !this.originalVideoHeight) && width > 0 && height > 0) {
+            this.originalVideoWidth = width;
+            this.originalVideoHeight = height;
+        }
+    }
+
+    /**
+     * Get the intrinsic size of the media, which selections are measured in
+     * @returns {Object} - Size {width, height}, zero while it isn't known
+     * @private
+     */
+    _getMediaSize() {
+        const media = this.videoElement;
+        if (media instanceof HTMLImageElement) {
+            return { width: media.naturalWidth, height: media.naturalHeight };
+        }
+        if (media instanceof HTMLCanvasElement) {
+            return { width: media.width, height: media.height };
+        }
+
+        // Until the metadata of a stream has loaded, its video track knows the size
+        const stream = media.srcObject;
+        if (!media.videoWidth && stream && typeof stream.getVideoTracks === 'function') {
+            const [track] = stream.getVideoTracks();
+            const settings = track ? track.getSettings() : {};
+            return { width: settings.width || 0, height: settings.height || 0 };
+        }
+
+        return { width: media.videoWidth, height: media.videoHeight };
+    }
+
+    /**
+     * Check whether the element shows media that can be selected on
+     * @returns {boolean} - True for a video with a source or stream, a loaded image or a canvas
+     * @private
+     */
+    _hasMedia() {
+        const media = this.videoElement;
+        if (media instanceof HTMLCanvasElement) {
+            return true;
+        }
+        if (media instanceof HTMLImageElement) {
+            return !!(media.currentSrc || media.src);
+        }
+        return !!(media.src || media.srcObject);
+    }
+
+    /**
+     * Read the size of the media after it loaded or changed. Selections are
+     * scaled along, so they stay on the same part of the picture when e.g. a
+     * stream changes resolution.
+     * @returns {boolean} - True when the size is known
+     * @private
+     */
+    _handleMediaSize() {
+        const { width, height } = this._getMediaSize();
+        if (!(width > 0 && height > 0)) {
+            return false;
+        }
+        if (width === this.originalVideoWidth && height === this.originalVideoHeight) {
+            return true;
+        }
+
+        const previousWidth = this.originalVideoWidth;
+        const previousHeight = this.originalVideoHeight;
+        this.originalVideoWidth = width;
+        this.originalVideoHeight = height;
+        this._resolveDimensions({ width, height });
+
+        // The content may be letterboxed differently than the element was sized
+        this._performResizeUpdate();
+
+        if (previousWidth > 0 && previousHeight > 0) {
+            const scaleX = width / previousWidth;
+            const scaleY = height / previousHeight;
+            this.regions
+                .filter(region => region.selection)
+                .forEach(region => this._showSelection(region, {
+                    left: region.selection.left * scaleX,
+                    top: region.selection.top * scaleY,
+                    width: region.selection.width * scaleX,
+                    height: region.selection.height * scaleY
+                }));
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the scale from original video coordinates to displayed pixels
+     * @returns {Object|null} - Scale factors {x, y}, or null while the video isn't displayed
+     * @private
+     */
+    _getDisplayScale() {
+        const layout = this._getContentLayout();
+        return layout ? layout.scale : null;
+    }
+
+    /**
+     * Get where the video content is rendered inside the video element. The
+     * content follows object-fit (videos are letterboxed by default) and
+     * object-position, so it can be smaller or larger than the element.
+     * @returns {Object|null} - Layout {scale, content, visible}, where content is the
+     *   rendered video and visible the part of it inside the element, as
+     *   {left, top, width, height} relative to the element's border box.
+     *   Null while the video isn't displayed.
+     * @private
+     */
+    _getContentLayout() {
+        this._refreshVideoDimensions();
+
+        const video = this.videoElement;
+        if (!this._hasMedia() || !this.originalVideoWidth || !this.originalVideoHeight) {
+            return null;
+        }
+
+        // The content box of the element, inside its border and padding
+        const style = window.getComputedStyle(video);
+        const px = value => parseFloat(value) || 0;
+        const box = {
+            left: px(style.borderLeftWidth) + px(style.paddingLeft),
+            top: px(style.borderTopWidth) + px(style.paddingTop),
+            width: video.clientWidth - px(style.paddingLeft) - px(style.paddingRight),
+            height: video.clientHeight - px(style.paddingTop) - px(style.paddingBottom)
+        };
+
+        return getContentLayout({
+            box: box,
+            videoWidth: this.originalVideoWidth,
+            videoHeight: this.originalVideoHeight,
+            objectFit: style.objectFit,
+            objectPosition: style.objectPosition,
+            view: this.view
+        });
+    }
+
+    /**
+     * Convert a viewport position to a position relative to the video element's
+     * border box as laid out, before zooming. The wrapper isn't transformed, so
+     * it is measured instead of the video element.
+     * @param {number} clientX - X position in the viewport
+     * @param {number} clientY - Y position in the viewport
+     * @returns {Object} - Point {x, y} in CSS pixels
+     * @private
+     */
+    _clientToElement(clientX, clientY) {
+        const rect = this.videoWrapper.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - this.videoWrapper.clientLeft - this.videoElement.offsetLeft,
+            y: clientY - rect.top - this.videoWrapper.clientTop - this.videoElement.offsetTop
+        };
+    }
+
+    /**
+     * Limit a zoom factor to the allowed range
+     * @param {number} zoom - Requested zoom factor
+     * @returns {number} - Zoom factor between 1 and maxZoom
+     * @private
+     */
+    _clampZoom(zoom) {
+        return Math.min(Math.max(1, zoom), Math.max(1, this.options.maxZoom));
+    }
+
+    /**
+     * Zoom and pan the video, keeping the element's box covered, and update the overlay
+     * @param {number} zoom - Zoom factor
+     * @param {number} x - Horizontal offset of the zoomed element in CSS pixels
+     * @param {number} y - Vertical offset of the zoomed element in CSS pixels
+     * @private
+     */
+    _setView(zoom, x, y) {
+        this.view = { zoom: this._clampZoom(zoom), x, y };
+        this._performResizeUpdate();
+    }
+
+    /**
+     * Keep the zoomed element covering its box and apply the view as a CSS transform
+     * @private
+     */
+    _applyView() {
+        const { zoom } = this.view;
+        const width = this.videoElement.clientWidth;
+        const height = this.videoElement.clientHeight;
+        this.view.x = Math.min(0, Math.max(width - width * zoom, this.view.x));
+        this.view.y = Math.min(0, Math.max(height - height * zoom, this.view.y));
+
+        const zoomed = zoom > 1;
+        this.videoElement.style.transformOrigin = zoomed ? '0 0' : '';
+        this.videoElement.style.transform = zoomed
+            ? `translate(${this.view.x}px, ${this.view.y}px) scale(${zoom})`
+            : '';
+        this.videoWrapper.classList.toggle('zoomed', zoomed);
+    }
+
+    /**
+     * Draw the video around the pointer, magnified, into the loupe and place
+     * the loupe next to the pointer
+     * @param {PointerEvent} e - The pointermove event
+     * @private
+     */
+    _updateLoupe(e) {
+        if (!this.options.loupe) return;
+
+        const layout = this._getContentLayout();
+        const point = this._clientToSource(e.clientX, e.clientY);
+        const context = this.loupeElement.getContext('2d');
+        if (!layout || !point || !context) return;
+
+        // Source pixels shown across the loupe
+        const size = this.options.loupeSize;
+        const sourceWidth = size / (layout.scale.x * this.options.loupeZoom);
+        const sourceHeight = size / (layout.scale.y * this.options.loupeZoom);
+        const sourceLeft = point.x - sourceWidth / 2;
+        const sourceTop = point.y - sourceHeight / 2;
+
+        this.loupeElement.width = size;
+        this.loupeElement.height = size;
+        context.imageSmoothingEnabled = false; // Show source pixels as crisp squares
+        context.drawImage(this.videoElement, sourceLeft, sourceTop, sourceWidth, sourceHeight, 0, 0, size, size);
+
+        // Outline the selection and mark the pointer
+        const selection = this.activeRegion.selection;
+        if (selection) {
+            context.strokeStyle = this.activeRegion.border || this.options.selectionBorder;
+            context.lineWidth = 1;
+            context.strokeRect(
+                (selection.left - sourceLeft) * size / sourceWidth,
+                (selection.top - sourceTop) * size / sourceHeight,
+                selection.width * size / sourceWidth,
+                selection.height * size / sourceHeight
+            );
+        }
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.beginPath();
+        context.moveTo(size / 2, size / 2 - 8);
+        context.lineTo(size / 2, size / 2 + 8);
+        context.moveTo(size / 2 - 8, size / 2);
+        context.lineTo(size / 2 + 8, size / 2);
+        context.stroke();
+
+        // Above and to the right of the pointer, flipped at the wrapper edges
+        const pointer = this._clientToElement(e.clientX, e.clientY);
+        const offset = 16;
+        const pointerX = this.videoElement.offsetLeft + pointer.x;
+        const pointerY = this.videoElement.offsetTop + pointer.y;
+        const left = pointerX + offset + size > this.videoWrapper.clientWidth ? pointerX - offset - size : pointerX + offset;
+        const top = pointerY - offset - size < 0 ? pointerY + offset : pointerY - offset - size;
+        this.loupeElement.style.width = size + 'px';
+        this.loupeElement.style.height = size + 'px';
+        this.loupeElement.style.left = left + 'px';
+        this.loupeElement.style.top = top + 'px';
+        this.loupeElement.style.display = 'block';
+    }
+
+    /**
+     * Limit the overlay to the visible video content, so pointer input on
+     * letterbox bars doesn't start selections
+     * @private
+     */
+    _layoutOverlay() {
+        const layout = this._getContentLayout();
+        if (!layout) return;
+
+        // The overlay is positioned in the wrapper, like the video element
+        const { visible } = layout;
+        this.selectionOverlay.style.left = (this.videoElement.offsetLeft + visible.left) + 'px';
+        this.selectionOverlay.style.top = (this.videoElement.offsetTop + visible.top) + 'px';
+        this.selectionOverlay.style.width = visible.width + 'px';
+        this.selectionOverlay.style.height = visible.height + 'px';
+    }
+
+    /**
+     * Convert a pointer position to original video coordinates, constrained to the video
+     * @param {number} clientX - X position in the viewport
+     * @param {number} clientY - Y position in the viewport
+     * @returns {Object|null} - Point {x, y}, or null while the video isn't displayed
+     * @private
+     */
+    _clientToSource(clientX, clientY) {
+        const layout = this._getContentLayout();
+        if (!layout) return null;
+
+        const pointer = this._clientToElement(clientX, clientY);
+        return displayToSource(pointer, layout, this.originalVideoWidth, this.originalVideoHeight);
+    }
+
+    /**
+     * Get the magnetic snapping distance in original video pixels
+     * @returns {Object} - Thresholds {x, y}
+     * @private
+     */
+    _getSnapThreshold() {
+        const scale = this._getDisplayScale();
+        return {
+            x: scale ? this.options.snapThreshold / scale.x : 0,
+            y: scale ? this.options.snapThreshold / scale.y : 0
+        };
+    }
+
+    /**
+     * Collect the video size, the locked aspect ratio and the snapping and
+     * size options that the geometry functions constrain selections with
+     * @returns {Object} - Constraints for the geometry module
+     * @private
+     */
+    _getGeometryConstraints() {
+        const {snapTo, grid, snapToEdges, minWidth, minHeight, maxWidth, maxHeight, bounds} = this.options;
+        return {
+            videoWidth: this.originalVideoWidth,
+            videoHeight: this.originalVideoHeight,
+            aspectRatio: this.aspectRatio,
+            snapTo, grid, snapToEdges, minWidth, minHeight, maxWidth, maxHeight, bounds
+        };
+    }
+
+    /**
+     * Snap a pointer position that drives an edge or corner
+     * @param {Object|null} point - Point {x, y} in original video coordinates
+     * @returns {Object|null} - The snapped point
+     * @private
+     */
+    _snapPoint(point) {
+        if (!point) return null;
+
+        return snapPoint(this._getGeometryConstraints(), point, this._getSnapThreshold());
+    }
+
+    /**
+     * Show a polygon given by its vertices. The selection becomes the bounding
+     * box of the vertices, and the outline is kept relative to that box, so
+     * moving or resizing the box moves or scales the polygon.
+     * @param {Object} region - The region to show the polygon in
+     * @param {Array<Object>} points - Vertices {x, y} in original video coordinates
+     * @returns {Object} - The bounding box that was applied as the selection
+     * @private
+     */
+    _applyPolygon(region, points) {
+        const { selection, outline } = pointsToOutline(this._getGeometryConstraints(), points);
+
+        region.outline = outline;
+        this._renderShape(region);
+
+        this._applySelection(region, selection);
+        return selection;
+    }
+
+    /**
+     * Trigger the onConstraintViolation callback
+     * @param {Object} region - The region whose selection was limited
+     * @param {Array<Object>} violations - The constraints that limited it
+     * @private
+     */
+    _emitViolations(region, violations) {
+        if (violations.length === 0 || !region.selection) return;
+
+        const data = {
+            violations: violations,
+            region: this._getRegionInfo(region),
+            selection: { ...region.selection }
+        };
+
+        if (typeof this.options.onConstraintViolation === 'function') {
+            this.options.onConstraintViolation(data);
+        }
+        this._emit('constraintviolation', data);
+    }
+
+    /**
+     * Store the selection of a region, render its box and report the change
+     * @param {Object} region - The region the selection belongs to
+     * @param {Object} selection - Selection in original video coordinates
+     * @private
+     */
+    _applySelection(region, selection) {
+        // A polygon that was never drawn starts out as its box
+        if (region.shape === 'polygon' && !region.outline) {
+            region.outline = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+            this._renderShape(region);
+        }
+
+        region.selection = selection;
+        region.box.style.display = 'block';
+        region.box.setAttribute('aria-label', this._describeSelection(region));
+        this._renderRegion(region);
+        this._notifyChange(region);
+
+        // Constraints that limited a drag are reported once it ends
+        const violations = this._violations;
+        this._violations = [];
+        if (this.isSelecting || this.isResizing || this.isMoving) {
+            this._dragViolations = violations;
+        } else {
+            this._emitViolations(region, violations);
+        }
+    }
+
+    /**
+     * Trigger the onChange callback and the selectionchange event
+     * @param {Object} region - A region with a selection
+     * @private
+     */
+    _notifyChange(region) {
+        const data = this._getRegionData(region);
+
+        // Call onChange callback
+        if (typeof this.options.onChange === 'function') {
+            this.options.onChange(data);
+        }
+        this._emit('selectionchange', data);
+    }
+
+    /**
+     * Position the box of a region from its selection
+     * @param {Object} region - The region to render
+     * @private
+     */
+    _renderRegion(region) {
+        const layout = this._getContentLayout();
+        if (!layout || !region.selection) return;
+
+        // Boxes are positioned in the wrapper, like the video element
+        const rect = sourceToDisplay(region.selection, layout);
+        region.box.style.left = Math.round(this.videoElement.offsetLeft + rect.left) + 'px';
+        region.box.style.top = Math.round(this.videoElement.offsetTop + rect.top) + 'px';
+        region.box.style.width = Math.round(rect.width) + 'px';
+        region.box.style.height = Math.round(rect.height) + 'px';
+    }
+
+    /**
+     * Build selection data from a selection in original video coordinates
+     * @param {Object} selection - Selection with left, top, width and height
+     * @returns {Object} - Selection data with absolute and relative coordinates
+     * @private
+     */
+    _buildSelectionData(selection) {
+        const videoWidth = this.originalVideoWidth;
+        const videoHeight = this.originalVideoHeight;
+
+        return {
+            ...getSelectionCoordinates(selection, videoWidth, videoHeight),
+            // Coordinates in the stored frames, before sample aspect ratio, rotation and flip
+            storage: toStorage(selection, videoWidth, videoHeight, this.videoTransform),
+            video: {
+                width: videoWidth,
+                height: videoHeight,
+                ...getStorageSize(videoWidth, videoHeight, this.videoTransform)
+            }
+        };
+    }
+
+    /**
+     * Build the selection data of a region, including all other regions
+     * @param {Object} region - A region with a selection
+     * @returns {Object} - Selection data of the region plus a `regions` list
+     * @private
+     */
+    _getRegionData(region) {
+        return {
+            ...this._buildSelectionData(region.selection),
+            ...this._getShapeData(region),
+            region: this._getRegionInfo(region),
+            regions: this.getRegions()
+        };
+    }
+
+    /**
+     * Describe the shape of a region inside its bounding box
+     * @param {Object} region - A region with a selection
+     * @returns {Object} - The shape, polygon `points` and `ellipse` center and radii,
+     *   in original video coordinates, each null for other shapes
+     * @private
+     */
+    _getShapeData(region) {
+        const {left, top, width, height} = region.selection;
+        return {
+            shape: region.shape,
+            points: region.shape === 'polygon' && region.outline ? outlineToPoints(region.outline, region.selection) : null,
+            ellipse: region.shape === 'ellipse' ? {
+                centerX: left + width / 2,
+                centerY: top + height / 2,
+                radiusX: width / 2,
+                radiusY: height / 2
+            } : null
+        };
+    }
+
+    /**
+     * Describe a region without its DOM elements
+     * @param {Object} region - The region to describe
+     * @returns {Object} - Region id, label, shape, colors and whether it is selected
+     * @private
+     */
+    _getRegionInfo(region) {
+        return {
+            id: region.id,
+            label: region.label,
+            shape: region.shape,
+            color: region.color,
+            border: region.border,
+            selected: region === this.activeRegion
+        };
+    }
+
+    /**
+     * Find a region by id
+     * @param {String} id - The region id
+     * @returns {Object|undefined} - The region, if it exists
+     * @private
+     */
+    _findRegion(id) {
+        return this.regions.find(region => region.id === id);
+    }
+
+    /**
+     * Resolve an optional region id to a region, defaulting to the active region
+     * @param {String} [regionId] - The region id
+     * @returns {Object} - The region
+     * @private
+     */
+    _resolveRegion(regionId) {
+        if (regionId === undefined || regionId === null) {
+            return this.activeRegion;
+        }
+
+        const region = this._findRegion(regionId);
+        if (!region) {
+            throw new Error(`VideoAreaSelector has no region with id "${regionId}"`);
+        }
+        return region;
+    }
+
+    /**
+     * Enable selection mode
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    enable() {
+        this.options.enabled = true;
+        this.selectionOverlay.style.display = 'block';
+        this.regions.forEach(region => {
+            region.box.classList.remove('playback-mode');
+            region.box.tabIndex = 0;
+        });
+        this._emit('enable');
+        return this;
+    }
+    
+    /**
+     * Disable selection mode
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    disable() {
+        this.options.enabled = false;
+        this._endDrag();
+        this._finishPolygon();
+        if (this._pinch) {
+            this._endPinch();
+        }
+        this.resetZoom();
+        this.selectionOverlay.style.display = 'none';
+        
+        // Add playback mode class to selection boxes
+        this.regions.forEach(region => {
+            region.box.classList.add('playback-mode');
+            region.box.tabIndex = -1;
+        });
+        
+        this._emit('disable');
+        return this;
+    }
+    
+    /**
+     * Get the current selection
+     * @param {String} [regionId] - Region to get the selection of, defaults to the active region
+     * @returns {Object|null} - Selection data with absolute and relative coordinates, or null if no selection
+     */
+    getSelection(regionId) {
+        const region = this._resolveRegion(regionId);
+        if (!region.selection || region.box.style.display !== 'block') {
+            return null; // No selection exists
+        }
+        
+        // Check if media dimensions are available
+        this._refreshVideoDimensions();
+        
+        if (!this._hasMedia() || !this.originalVideoWidth || !this.originalVideoHeight) {
+            return null;
+        }
+
+        return this._getRegionData(region);
+    }
+    
+    /**
+     * Set the selection programmatically
+     * @param {Object} selection - The selection to set
+     * @param {Number} selection.left - Left coordinate in original video dimensions
+     * @param {Number} selection.top - Top coordinate in original video dimensions
+     * @param {Number} selection.width - Width in original video dimensions
+     * @param {Number} selection.height - Height in original video dimensions
+     * @param {Array<Object>} [selection.points] - Vertices {x, y} of a polygon region, instead of the box
+     * @param {String} [regionId] - Region to set the selection of, defaults to the active region
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setSelection({left, top, width, height, points}, regionId) {
+        const region = this._resolveRegion(regionId);
+        if (this._polygonDraft && this._polygonDraft.region === region) {
+            this._finishPolygon(true);
+        }
+
+        const before = this._snapshotRegion(region);
+        let selection;
+        if (points && region.shape === 'polygon') {
+            if (points.length < 3) {
+                throw new Error('VideoAreaSelector needs at least three points for a polygon');
+            }
+            selection = this._getDisplayScale() ? this._applyPolygon(region, points) : null;
+        } else {
+            selection = this._showSelection(region, { left, top, width, height });
+        }
+
+        // Keep an animated selection consistent with the programmatic change
+        if (selection && region.track.length > 0) {
+            this._addKeyframe(region, selection, this.videoElement.currentTime);
+        }
+
+        if (selection) {
+            this._recordHistory(region, before);
+            this._emit('selectionend', { ...this._getRegionData(region), changed: true });
+        }
+
+        return this;
+    }
+
+    /**
+     * Show a selection given in original video dimensions, fitted to the bounds,
+     * the size constraints and the locked aspect ratio, and report it
+     * @param {Object} region - The region to show the selection in
+     * @param {Object} selection - Selection with left, top, width and height
+     * @returns {Object|null} - The selection that was applied, or null while the video isn't displayed
+     * @private
+     */
+    _showSelection(region, {left, top, width, height}) {
+        if (!this._getDisplayScale()) return null;
+
+        const selection = constrainSelection(
+            this._getGeometryConstraints(), { left, top, width, height }, this._violations
+        );
+        this._applySelection(region, selection);
+        return selection;
+    }
+
+    /**
+     * Perform the actual update of selection box on resize
+     * @private
+     */
+    _performResizeUpdate() {
+        this._applyView();
+        this._layoutOverlay();
+        this.regions.forEach(region => this._renderRegion(region));
+    }
+
+    /**
+     * Zoom the video inside the wrapper
+     * @param {number} zoom - Zoom factor from 1 to maxZoom
+     * @param {Object} [center] - Point {x, y} in original video coordinates to center
+     *   the view on, defaults to keeping the point at the center of the player in place
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setZoom(zoom, center) {
+        const layout = this._getContentLayout();
+        const width = this.videoElement.clientWidth;
+        const height = this.videoElement.clientHeight;
+        const newZoom = this._clampZoom(zoom);
+
+        // The unzoomed element position that ends up at the center of the player
+        let pointX = (width / 2 - this.view.x) / this.view.zoom;
+        let pointY = (height / 2 - this.view.y) / this.view.zoom;
+        if (center && layout) {
+            pointX = (layout.content.left + center.x * layout.scale.x - this.view.x) / this.view.zoom;
+            pointY = (layout.content.top + center.y * layout.scale.y - this.view.y) / this.view.zoom;
+        }
+
+        this._setView(newZoom, width / 2 - pointX * newZoom, height / 2 - pointY * newZoom);
+        return this;
+    }
+
+    /**
+     * Get the zoom factor
+     * @returns {number} - 1 when the video isn't zoomed
+     */
+    getZoom() {
+        return this.view.zoom;
+    }
+
+    /**
+     * Pan a zoomed video
+     * @param {number} dx - Distance to move the video right, in screen pixels
+     * @param {number} dy - Distance to move the video down, in screen pixels
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    panBy(dx, dy) {
+        this._setView(this.view.zoom, this.view.x + dx, this.view.y + dy);
+        return this;
+    }
+
+    /**
+     * Show the whole video again
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    resetZoom() {
+        this._setView(1, 0, 0);
+        return this;
+    }
+
+    /**
+     * Recompute the overlay and selection boxes after a change the selector
+     * can't observe, e.g. of the video's object-fit or object-position, or of
+     * a canvas's width and height
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    updateLayout() {
+        this._handleMediaSize();
+        this._performResizeUpdate();
+        return this;
+    }
+    
+    /**
+     * Returns a promise that resolves when the video dimensions are available
+     * @returns {Promise<Object>} - A promise that resolves with {width, height} when dimensions are available
+     */
+    ready() {
+        return this._dimensionsReady;
+    }
+
+    /**
+     * Capture the selected area of the current frame as an image at source resolution.
+     * Outside an ellipse or polygon, PNG and WebP images are transparent and JPEG images black.
+     * @param {Object} [options] - Capture options
+     * @param {String} [options.format] - 'png' (default), 'jpeg' or 'webp'
+     * @param {number} [options.quality] - Quality from 0 to 1 for JPEG and WebP
+     * @param {number} [options.scale] - Factor applied to the source resolution (default: 1)
+     * @param {String} [options.regionId] - Region to capture, defaults to the active region
+     * @returns {Promise<Blob>} - The image; rejects without a selection or for cross-origin media
+     */
+    captureRegion({format = 'png', quality, scale = 1, regionId} = {}) {
+        const type = CAPTURE_TYPES[format];
+        if (!type) {
+            return Promise.reject(new Error(`VideoAreaSelector can't capture to format: ${format}`));
+        }
+        if (!(scale > 0)) {
+            return Promise.reject(new Error(`VideoAreaSelector got an invalid capture scale: ${scale}`));
+        }
+
+        const data = this.getSelection(regionId);
+        if (!data) {
+            return Promise.reject(new Error('VideoAreaSelector has no selection to capture'));
+        }
+
+        const {left, top, width, height} = data.absolute;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const context = canvas.getContext('2d');
+
+        // Cut non-rectangular shapes out of their bounding box
+        const scaleX = canvas.width / width;
+        const scaleY = canvas.height / height;
+        if (data.ellipse) {
+            context.beginPath();
+            context.ellipse(canvas.width / 2, canvas.height / 2, canvas.width / 2, canvas.height / 2, 0, 0, Math.PI * 2);
+            context.clip();
+        } else if (data.points) {
+            context.beginPath();
+            data.points.forEach(({x, y}) => context.lineTo((x - left) * scaleX, (y - top) * scaleY));
+            context.closePath();
+            context.clip();
+        }
+
+        context.drawImage(this.videoElement, left, top, width, height, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            // Throws for media from other origins without CORS, which taints the canvas
+            try {
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('VideoAreaSelector could not encode the capture'));
+                    }
+                }, type, quality);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Clear the current selection
+     * @param {String} [regionId] - Region to clear, defaults to the active region
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    clearSelection(regionId) {
+        const region = this._resolveRegion(regionId);
+        if (this._polygonDraft && this._polygonDraft.region === region) {
+            this._finishPolygon(true);
+        }
+
+        const before = this._snapshotRegion(region);
+        this._hideSelection(region);
+        this._recordHistory(region, before);
+        return this;
+    }
+
+    /**
+     * Remove the selection of a region and report it, when it had one
+     * @param {Object} region - The region to clear
+     * @private
+     */
+    _hideSelection(region) {
+        const hadSelection = Boolean(region.selection);
+        region.box.style.display = 'none';
+        region.selection = null;
+        region.outline = null;
+        this._renderShape(region);
+        region.box.setAttribute('aria-label', this._describeSelection(region));
+        if (hadSelection) {
+            this._emit('clear', { region: this._getRegionInfo(region), regions: this.getRegions() });
+        }
+    }
+
+    // History API methods
+
+    /**
+     * Undo the last committed edit: a drag, a keyboard edit, setSelection() or clearSelection()
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    undo() {
+        this._endDrag();
+        this._finishPolygon(true);
+        const entry = this._popHistory(this._undoStack);
+        if (entry) {
+            this._redoStack.push(entry);
+            this._restoreRegion(entry.regionId, entry.before);
+        }
+        return this;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    redo() {
+        this._endDrag();
+        this._finishPolygon(true);
+        const entry = this._popHistory(this._redoStack);
+        if (entry) {
+            this._undoStack.push(entry);
+            this._restoreRegion(entry.regionId, entry.after);
+        }
+        return this;
+    }
+
+    /**
+     * Check whether there is an edit to undo
+     * @returns {boolean} - True when undo() would change a selection
+     */
+    canUndo() {
+        return this._undoStack.some(entry => this._findRegion(entry.regionId));
+    }
+
+    /**
+     * Check whether there is an undone edit to redo
+     * @returns {boolean} - True when redo() would change a selection
+     */
+    canRedo() {
+        return this._redoStack.some(entry => this._findRegion(entry.regionId));
+    }
+
+    /**
+     * Copy the selection, polygon outline and keyframe track of a region
+     * @param {Object} region - The region to copy
+     * @returns {Object} - Snapshot {selection, outline, track}
+     * @private
+     */
+    _snapshotRegion(region) {
+        return {
+            selection: region.selection ? { ...region.selection } : null,
+            outline: region.outline ? region.outline.map(point => ({ ...point })) : null,
+            track: region.track.map(keyframe => ({ ...keyframe }))
+        };
+    }
+
+    /**
+     * Put a region back into a snapshot state
+     * @param {Object} region - The region to restore
+     * @param {Object} snapshot - Snapshot {selection, outline, track}
+     * @private
+     */
+    _applySnapshot(region, snapshot) {
+        region.track = snapshot.track.map(keyframe => ({ ...keyframe }));
+        if (snapshot.selection) {
+            region.outline = snapshot.outline ? snapshot.outline.map(point => ({ ...point })) : null;
+            this._renderShape(region);
+            this._applySelection(region, { ...snapshot.selection });
+        } else {
+            this._hideSelection(region);
+        }
+    }
+
+    /**
+     * Add a committed edit to the history, dropping the oldest edits beyond
+     * the history limit. Edits that changed nothing aren't recorded.
+     * @param {Object} region - The edited region
+     * @param {Object} before - Snapshot of the region before the edit
+     * @private
+     */
+    _recordHistory(region, before) {
+        const after = this._snapshotRegion(region);
+        if (!before || JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this._undoStack.push({ regionId: region.id, before, after });
+        this._redoStack = [];
+
+        const excess = this._undoStack.length - Math.max(0, this.options.historyLimit);
+        if (excess > 0) {
+            this._undoStack.splice(0, excess);
+        }
+    }
+
+    /**
+     * Take the newest history entry whose region still exists
+     * @param {Array<Object>} stack - The undo or redo stack
+     * @returns {Object|undefined} - The entry, or undefined when there is none
+     * @private
+     */
+    _popHistory(stack) {
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            if (this._findRegion(entry.regionId)) {
+                return entry;
+            }
+        }
+        return undefined;
     }
-    
+
     /**
-     * Returns a promise that resolves when the video dimensions are available
-     * @returns {Promise<Object>} - A promise that resolves with {width, height} when dimensions are available
+     * Put a region back into a snapshot state and make it the active region
+     * @param {String} regionId - The region to restore
+     * @param {Object} snapshot - Snapshot {selection, outline, track}
+     * @private
      */
-    ready() {
-        return this._dimensionsReady;
+    _restoreRegion(regionId, snapshot) {
+        const region = this._findRegion(regionId);
+        if (region !== this.activeRegion) {
+            this.selectRegion(region.id);
+        }
+
+        this._applySnapshot(region, snapshot);
+        if (region.selection) {
+            this._emit('selectionend', { ...this._getRegionData(region), changed: true });
+            this._announceSelection(region);
+        }
     }
-    
+
     /**
-     * Clear the current selection
+     * Lock selections to an aspect ratio, refitting existing selections
+     * @param {String|Number|null} ratio - A ratio like '16:9', '9:16' or 1.85, or null to unlock
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setAspectRatio(ratio) {
+        this.aspectRatio = parseAspectRatio(ratio);
+        this.options.lockAspectRatio = this.aspectRatio ? ratio : null;
+
+        if (this.aspectRatio && this._getDisplayScale()) {
+            this.regions
+                .filter(region => region.selection)
+                .forEach(region => this._applySelection(region, fitAspectRatio(
+                    this._getGeometryConstraints(), region.selection, this._violations
+                )));
+        }
+
+        return this;
+    }
+
+    /**
+     * Change the snapping options. Existing selections are resized to the new size step.
+     * @param {Object} snapping - Any of snapTo, grid, snapToEdges and snapThreshold
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setSnapping({snapTo, grid, snapToEdges, snapThreshold} = {}) {
+        if (snapTo !== undefined) this.options.snapTo = snapTo;
+        if (grid !== undefined) this.options.grid = grid;
+        if (snapToEdges !== undefined) this.options.snapToEdges = snapToEdges;
+        if (snapThreshold !== undefined) this.options.snapThreshold = snapThreshold;
+
+        this.regions
+            .filter(region => region.selection)
+            .forEach(region => this._showSelection(region, region.selection));
+
+        return this;
+    }
+
+    /**
+     * Change the size and bounds constraints. Existing selections are moved
+     * and resized to meet them.
+     * @param {Object} constraints - Any of minWidth, minHeight, maxWidth, maxHeight and bounds
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setConstraints({minWidth, minHeight, maxWidth, maxHeight, bounds} = {}) {
+        if (minWidth !== undefined) this.options.minWidth = minWidth;
+        if (minHeight !== undefined) this.options.minHeight = minHeight;
+        if (maxWidth !== undefined) this.options.maxWidth = maxWidth;
+        if (maxHeight !== undefined) this.options.maxHeight = maxHeight;
+        if (bounds !== undefined) this.options.bounds = bounds ? { ...bounds } : null;
+
+        this.regions
+            .filter(region => region.selection)
+            .forEach(region => this._showSelection(region, region.selection));
+
+        return this;
+    }
+
+    /**
+     * Get the size and bounds constraints
+     * @returns {Object} - Constraints {minWidth, minHeight, maxWidth, maxHeight, bounds}
+     */
+    getConstraints() {
+        const {minWidth, minHeight, maxWidth, maxHeight, bounds} = this.options;
+        return { minWidth, minHeight, maxWidth, maxHeight, bounds: bounds ? { ...bounds } : null };
+    }
+
+    /**
+     * Describe how stored frames are transformed for display, which getSelection()
+     * uses to report storage coordinates next to the displayed ones
+     * @param {Object} transform - Any of sampleAspectRatio, rotation and flip
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setVideoTransform({sampleAspectRatio, rotation, flip} = {}) {
+        const options = { ...this.options };
+        if (sampleAspectRatio !== undefined) options.sampleAspectRatio = sampleAspectRatio;
+        if (rotation !== undefined) options.rotation = rotation;
+        if (flip !== undefined) options.flip = flip;
+
+        this.videoTransform = parseVideoTransform(options);
+        this.options.sampleAspectRatio = options.sampleAspectRatio;
+        this.options.rotation = this.videoTransform.rotation;
+        this.options.flip = this.videoTransform.flip;
+
+        // Report the storage coordinates of the active region again
+        if (this.activeRegion.selection && this._getDisplayScale()) {
+            this._notifyChange(this.activeRegion);
+        }
+
+        return this;
+    }
+
+    /**
+     * Get how stored frames are transformed for display
+     * @returns {Object} - Transform {sampleAspectRatio, rotation, flip}, with the sample
+     *   aspect ratio as reduced units {width, height} or null for square samples
+     */
+    getVideoTransform() {
+        const {sampleAspectRatio, rotation, flip} = this.videoTransform;
+        return { sampleAspectRatio: sampleAspectRatio ? { ...sampleAspectRatio } : null, rotation, flip };
+    }
+
+    /**
+     * Get the locked aspect ratio
+     * @returns {Object|null} - Reduced ratio {width, height} in original video pixels, or null when unlocked
+     */
+    getAspectRatio() {
+        return this.aspectRatio ? { ...this.aspectRatio } : null;
+    }
+
+    // Region API methods
+
+    /**
+     * Add a region and make it the active one
+     * @param {Object} [region] - Region options
+     * @param {String} [region.id] - Unique id, generated if omitted
+     * @param {String} [region.label] - Label shown on the box
+     * @param {String} [region.color] - Fill color of the box (CSS color)
+     * @param {String} [region.border] - Border color of the box (CSS color)
+     * @param {String} [region.shape] - 'rectangle', 'ellipse' or 'polygon', defaults to the shape option
+     * @param {Object} [region.selection] - Initial selection in original video dimensions
+     * @returns {String} - The id of the new region
+     */
+    addRegion({id, label, color, border, shape, selection} = {}) {
+        this._regionCounter++;
+        const regionId = id || `region-${this._regionCounter}`;
+
+        if (this._findRegion(regionId)) {
+            throw new Error(`VideoAreaSelector already has a region with id "${regionId}"`);
+        }
+
+        const region = {
+            id: regionId,
+            label: label || `Region ${this._regionCounter}`,
+            color: color || null,
+            border: border || null,
+            shape: parseShape(shape || this.options.shape),
+            selection: null,
+            // Polygon vertices relative to the selection, from 0 to 1
+            outline: null,
+            track: []
+        };
+
+        this._createRegionElements(region);
+        this.regions.push(region);
+        this.selectRegion(regionId);
+
+        if (selection) {
+            this.setSelection(selection, regionId);
+        }
+
+        return regionId;
+    }
+
+    /**
+     * Remove a region. The last remaining region is only cleared.
+     * @param {String} regionId - The region to remove
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    removeRegion(regionId) {
+        const region = this._resolveRegion(regionId);
+
+        if (this.regions.length === 1) {
+            return this.clearSelection(region.id);
+        }
+
+        if (this._polygonDraft && this._polygonDraft.region === region) {
+            this._finishPolygon(true);
+        }
+
+        region.box.remove();
+        this.regions = this.regions.filter(r => r !== region);
+
+        if (region === this.activeRegion) {
+            this.selectRegion(this.regions[this.regions.length - 1].id);
+        } else {
+            this._updateRegionClasses();
+        }
+
+        return this;
+    }
+
+    /**
+     * Make a region the active one. Drawing, resizing and keyframes apply to the active region.
+     * @param {String} regionId - The region to select
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    selectRegion(regionId) {
+        const region = this._resolveRegion(regionId);
+
+        // A polygon being drawn in another region is closed first
+        if (this._polygonDraft && this._polygonDraft.region !== region) {
+            this._finishPolygon();
+        }
+
+        const changed = region !== this.activeRegion;
+        this.activeRegion = region;
+        this._updateRegionClasses();
+
+        // Report the newly active region so the caller can show its coordinates
+        if (changed && region.selection) {
+            this._notifyChange(region);
+        }
+
+        return this;
+    }
+
+    /**
+     * Change the label, colors or shape of a region. A region that becomes a
+     * polygon starts out as the corners of its box.
+     * @param {String} regionId - The region to update
+     * @param {Object} changes - Any of label, color, border and shape
      * @returns {VideoAreaSelector} - Returns this for method chaining
      */
-    clearSelection() {
-        this.selectionBox.style.display = 'none';
+    updateRegion(regionId, {label, color, border, shape} = {}) {
+        const region = this._resolveRegion(regionId);
+
+        if (label !== undefined) region.label = label;
+        if (color !== undefined) region.color = color;
+        if (border !== undefined) region.border = border;
+
+        this._applyRegionStyle(region);
+
+        if (shape !== undefined && parseShape(shape) !== region.shape) {
+            if (this._polygonDraft && this._polygonDraft.region === region) {
+                this._finishPolygon(true);
+            }
+            region.shape = parseShape(shape);
+            region.outline = null;
+            this._renderShape(region);
+
+            // Report the selection with its new shape
+            if (region.selection) {
+                this._applySelection(region, region.selection);
+            }
+        }
+
         return this;
     }
+
+    /**
+     * Get all regions with their selections
+     * @returns {Array<Object>} - Regions in stacking order with id, label, shape, colors, selected flag,
+     *   coordinates and polygon points
+     */
+    getRegions() {
+        const hasDimensions = this.originalVideoWidth > 0 && this.originalVideoHeight > 0;
+
+        return this.regions.map(region => {
+            const data = region.selection && hasDimensions ? this._buildSelectionData(region.selection) : null;
+            return {
+                ...this._getRegionInfo(region),
+                absolute: data ? data.absolute : null,
+                relative: data ? data.relative : null,
+                points: data && region.shape === 'polygon' && region.outline ? outlineToPoints(region.outline, region.selection) : null
+            };
+        });
+    }
+
+    /**
+     * Update the selected and multi-region classes
+     * @private
+     */
+    _updateRegionClasses() {
+        this.regions.forEach(region => {
+            region.box.classList.toggle('selected', region === this.activeRegion);
+        });
+        this.videoWrapper.classList.toggle('multi-region', this.regions.length > 1);
+    }
     
     /**
      * Destroy the selector and clean up event listeners
@@ -804,9 +2376,20 @@ export class VideoAreaSelector {
         if (this._resizeTimeout) {
             clearTimeout(this._resizeTimeout);
         }
-        document.removeEventListener('mousemove', this._boundDocumentMouseMoveHandler);
-        document.removeEventListener('mouseup', this._boundDocumentMouseUpHandler);
-        document.removeEventListener('mousemove', this._boundDocumentResizeHandler);
+        if (this._mediaSizeTimeout) {
+            clearTimeout(this._mediaSizeTimeout);
+        }
+        this._endDrag();
+        this.view = { zoom: 1, x: 0, y: 0 };
+        this._applyView();
+        this.videoElement.removeEventListener('timeupdate', this._boundTrackUpdateHandler);
+        this.videoElement.removeEventListener('seeked', this._boundTrackUpdateHandler);
+        this.videoElement.removeEventListener('seeking', this._boundSeekingHandler);
+        this._mediaSizeEvents.forEach(type => this.videoElement.removeEventListener(type, this._boundMediaSizeHandler));
+        if (this._videoFrameCallbackId !== null) {
+            this.videoElement.cancelVideoFrameCallback(this._videoFrameCallbackId);
+            this._videoFrameCallbackId = null;
+        }
         
         // Remove DOM elements
         if (this.videoWrapper.parentNode) {
@@ -814,6 +2397,71 @@ export class VideoAreaSelector {
             this.videoWrapper.parentNode.insertBefore(this.videoElement, this.videoWrapper);
             this.videoWrapper.parentNode.removeChild(this.videoWrapper);
         }
+
+        this._listeners.clear();
+    }
+
+    // Event API methods
+
+    /**
+     * Add a listener for a selector event. Listeners receive an event object
+     * with a `type` and the event's data:
+     * - selectionstart: a pointer drag starts ({action: 'draw'|'move'|'resize', handle, region})
+     * - selectionchange: a selection changed, on every pointer move (same data as onChange)
+     * - selectionend: an edit is committed by ending a drag, a keyboard edit or
+     *   setSelection() (selection data plus `changed`, false for a click without dragging)
+     * - clear: a selection was cleared; regions without one report nothing ({region, regions})
+     * - enable, disable: selection mode was switched
+     * - ready: the video dimensions are available ({width, height})
+     * - constraintviolation: a constraint limited a selection (same data as onConstraintViolation)
+     * - frameratechange: the detected frame rate changed ({frameRate})
+     * @param {String} type - The event type
+     * @param {Function} listener - Function receiving the event object
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    on(type, listener) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`VideoAreaSelector has no event named ${type}`);
+        }
+
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(listener);
+        return this;
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {String} type - The event type
+     * @param {Function} [listener] - The listener to remove, or all listeners of the type when omitted
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    off(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (listeners) {
+            if (listener) {
+                listeners.delete(listener);
+            } else {
+                listeners.clear();
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Call the listeners of an event
+     * @param {String} type - The event type
+     * @param {Object} [detail] - Data of the event
+     * @private
+     */
+    _emit(type, detail = {}) {
+        const listeners = this._listeners.get(type);
+        if (!listeners || listeners.size === 0) return;
+
+        // Listeners may remove themselves while being called
+        const event = { type, ...detail };
+        [...listeners].forEach(listener => listener(event));
     }
 
     // Timeline API methods
@@ -836,6 +2484,225 @@ export class VideoAreaSelector {
         this.videoElement.addEventListener('timeupdate', wrappedCallback);
         return () => this.videoElement.removeEventListener('timeupdate', wrappedCallback);
     }
+
+    // Frame API methods
+
+    /**
+     * Get the frame rate of the video: the frameRate option, or the rate
+     * detected while the video plays
+     * @returns {number|null} - Frames per second, or null while it isn't known
+     */
+    getFrameRate() {
+        return this.options.frameRate || this._detectedFrameRate;
+    }
+
+    /**
+     * Get the number of the frame at the current playback time
+     * @returns {number} - Frame number, starting at 0
+     */
+    getCurrentFrame() {
+        const frameRate = this.getFrameRate() || DEFAULT_FRAME_RATE;
+
+        // Allow for times a hair before the start of a frame
+        return Math.max(0, Math.floor(this.videoElement.currentTime * frameRate + 1e-3));
+    }
+
+    /**
+     * Seek to a frame. The time is set to the middle of the frame, so the
+     * frame is shown even when the browser rounds the time.
+     * @param {number} frame - Frame number, starting at 0
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    seekToFrame(frame) {
+        const frameRate = this.getFrameRate() || DEFAULT_FRAME_RATE;
+        const duration = this.videoElement.duration;
+
+        let target = Math.max(0, Math.round(frame));
+        if (Number.isFinite(duration)) {
+            target = Math.min(target, Math.max(0, Math.ceil(duration * frameRate) - 1));
+        }
+
+        const time = (target + 0.5) / frameRate;
+        this.videoElement.currentTime = Number.isFinite(duration) ? Math.min(time, duration) : time;
+        return this;
+    }
+
+    /**
+     * Step a number of frames forwards or backwards from the current frame.
+     * Until the frame rate is known, frames are assumed to be 1/25 s long.
+     * @param {number} count - Frames to step, negative to step back
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    stepFrames(count) {
+        return this.seekToFrame(this.getCurrentFrame() + count);
+    }
+
+    /**
+     * Ask for a callback when the next video frame is presented
+     * @private
+     */
+    _requestVideoFrame() {
+        if (this.options.frameRate || typeof this.videoElement.requestVideoFrameCallback !== 'function') return;
+
+        this._videoFrameCallbackId = this.videoElement.requestVideoFrameCallback(this._handleVideoFrame.bind(this));
+    }
+
+    /**
+     * Measure the frame duration between presented frames and update the frame rate estimate
+     * @param {number} now - Time the frame was handed to the compositor
+     * @param {Object} metadata - Video frame metadata with mediaTime and presentedFrames
+     * @private
+     */
+    _handleVideoFrame(now, metadata) {
+        const last = this._lastVideoFrame;
+        this._lastVideoFrame = { mediaTime: metadata.mediaTime, presentedFrames: metadata.presentedFrames };
+
+        // Callbacks can skip frames, so the duration is averaged over the frames presented in between
+        if (last) {
+            const frames = metadata.presentedFrames - last.presentedFrames;
+            const elapsed = metadata.mediaTime - last.mediaTime;
+            if (frames > 0 && elapsed > 0) {
+                this._frameDurations.push(elapsed / frames);
+                if (this._frameDurations.length > FRAME_SAMPLE_COUNT) {
+                    this._frameDurations.shift();
+                }
+            }
+        }
+
+        if (this._frameDurations.length >= MIN_FRAME_SAMPLES) {
+            this._updateFrameRate();
+        }
+
+        this._requestVideoFrame();
+    }
+
+    /**
+     * Estimate the frame rate from the measured frame durations and report changes
+     * @private
+     */
+    _updateFrameRate() {
+        // The median ignores durations stretched by dropped frames
+        const durations = [...this._frameDurations].sort((a, b) => a - b);
+        const measured = 1 / durations[Math.floor(durations.length / 2)];
+
+        const common = COMMON_FRAME_RATES.find(rate => Math.abs(measured - rate) / rate <= FRAME_RATE_TOLERANCE);
+        const frameRate = common || +measured.toFixed(3);
+
+        if (frameRate !== this._detectedFrameRate) {
+            this._detectedFrameRate = frameRate;
+            this._emit('frameratechange', { frameRate });
+        }
+    }
+
+    // Keyframe API methods
+
+    /**
+     * Add a keyframe to the active region, replacing any keyframe already at the same time
+     * @param {Object} [selection] - Selection in original video dimensions, defaults to the current selection
+     * @param {number} [time] - Time in seconds, defaults to the current playback time
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    addKeyframe(selection = this.activeRegion.selection, time = this.videoElement.currentTime) {
+        if (selection) {
+            this._addKeyframe(this.activeRegion, selection, time);
+        }
+        return this;
+    }
+
+    /**
+     * Add a keyframe to a region's track
+     * @param {Object} region - The region
+     * @param {Object} selection - Selection in original video dimensions
+     * @param {number} time - Time in seconds
+     * @private
+     */
+    _addKeyframe(region, selection, time) {
+        const keyframe = {
+            time: time,
+            left: Math.round(selection.left),
+            top: Math.round(selection.top),
+            width: Math.round(selection.width),
+            height: Math.round(selection.height)
+        };
+
+        const existingIndex = region.track.findIndex(k => Math.abs(k.time - time) < KEYFRAME_TIME_EPSILON);
+        if (existingIndex !== -1) {
+            region.track[existingIndex] = keyframe;
+        } else {
+            region.track.push(keyframe);
+            region.track.sort((a, b) => a.time - b.time);
+        }
+    }
+
+    /**
+     * Remove the keyframe of the active region at the given time
+     * @param {number} [time] - Time in seconds, defaults to the current playback time
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    removeKeyframe(time = this.videoElement.currentTime) {
+        const region = this.activeRegion;
+        region.track = region.track.filter(k => Math.abs(k.time - time) >= KEYFRAME_TIME_EPSILON);
+        return this;
+    }
+
+    /**
+     * Get all keyframes of a region's selection track
+     * @param {String} [regionId] - The region, defaults to the active region
+     * @returns {Array<Object>} - Keyframes sorted by time, each with time, left, top, width and height
+     */
+    getTrack(regionId) {
+        return this._resolveRegion(regionId).track.map(k => ({ ...k }));
+    }
+
+    /**
+     * Replace a region's selection track and show the box for the current time
+     * @param {Array<Object>} track - Keyframes with time, left, top, width and height
+     * @param {String} [regionId] - The region, defaults to the active region
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    setTrack(track, regionId) {
+        const region = this._resolveRegion(regionId);
+        region.track = [];
+        (track || []).forEach(k => this._addKeyframe(region, k, k.time));
+        this._handleTrackUpdate();
+        return this;
+    }
+
+    /**
+     * Remove all keyframes of a region. Its current selection stays where it is.
+     * @param {String} [regionId] - The region, defaults to the active region
+     * @returns {VideoAreaSelector} - Returns this for method chaining
+     */
+    clearTrack(regionId) {
+        this._resolveRegion(regionId).track = [];
+        return this;
+    }
+
+    /**
+     * Get the interpolated selection of a region's track at a given time
+     * @param {number} time - Time in seconds
+     * @param {String} [regionId] - The region, defaults to the active region
+     * @returns {Object|null} - Selection in original video dimensions, or null if there are no keyframes
+     */
+    getSelectionAtTime(time, regionId) {
+        return interpolateTrack(this._resolveRegion(regionId).track, time);
+    }
+
+    /**
+     * Move every animated region to its track position for the current time
+     * @private
+     */
+    _handleTrackUpdate() {
+        // Never move the box away from under the user's pointer
+        if (this.isSelecting || this.isResizing || this.isMoving || this._polygonDraft) return;
+
+        this.regions
+            .filter(region => region.track.length > 0)
+            .forEach(region => {
+                const selection = this.getSelectionAtTime(this.videoElement.currentTime, region.id);
+                this._showSelection(region, selection);
+            });
+    }
 }
 
 // Default export for easier importing
@@ -19,6 +19,15 @@ export interface TemplateSelectionData {
     right: number;
     bottom: number;
   };
+  /** Coordinates in stored pixels, used for the {storage…} placeholders when present */
+  storage?: {
+    left: number;
+    top: number;
+    width: number;
+    height: number;
+    right: number;
+    bottom: number;
+  };
 }
 
 /**
@@ -14,6 +14,9 @@ export function applyTemplate(template, selectionData) {
         return '';
     }
 
+    // Stored pixels of anamorphic or rotated video (same as absolute otherwise)
+    const storage = selectionData.storage || selectionData.absolute;
+
     // Extract values from the selection data
     const values = {
         left: selectionData.absolute.left,
@@ -27,7 +30,13 @@ export function applyTemplate(template, selectionData) {
         widthRel: selectionData.relative.width,
         heightRel: selectionData.relative.height,
         rightRel: selectionData.relative.right,
-        bottomRel: selectionData.relative.bottom
+        bottomRel: selectionData.relative.bottom,
+        storageLeft: storage.left,
+        storageTop: storage.top,
+        storageWidth: storage.width,
+        storageHeight: storage.height,
+        storageRight: storage.right,
+        storageBottom: storage.bottom
     };
 
     // Apply the template replacements
@@ -43,7 +52,13 @@ export function applyTemplate(template, selectionData) {
         .replace(/\{widthRel\}/g, values.widthRel)
         .replace(/\{heightRel\}/g, values.heightRel)
         .replace(/\{rightRel\}/g, values.rightRel)
-        .replace(/\{bottomRel\}/g, values.bottomRel);
+        .replace(/\{bottomRel\}/g, values.bottomRel)
+        .replace(/\{storageLeft\}/g, values.storageLeft)
+        .replace(/\{storageTop\}/g, values.storageTop)
+        .replace(/\{storageWidth\}/g, values.storageWidth)
+        .replace(/\{storageHeight\}/g, values.storageHeight)
+        .replace(/\{storageRight\}/g, values.storageRight)
+        .replace(/\{storageBottom\}/g, values.storageBottom);
 }
 
 export default applyTemplate;
\ No newline at end of file
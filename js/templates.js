@@ -11,7 +11,7 @@ export class TemplateManager {
      * @param {HTMLElement} options.templateContentInput - Input field for template content
      * @param {HTMLElement} options.saveButton - Button to save templates
      * @param {HTMLElement} options.cancelButton - Button to cancel editing
-     * @param {Function} options.onTemplateApplied - Callback when a template is applied
+     * @param {Function} options.onTemplateApplied - Callback when a template is applied, with its output and name
      */
     constructor(options = {}) {
         // Default options
@@ -29,6 +29,7 @@ export class TemplateManager {
         // Initialize storage
         this.templates = [];
         this.urlTemplate = null;
+        this.activeTemplateName = null;
         this.currentSelectionValues = {
             left: 0,
             top: 0,
@@ -41,7 +42,13 @@ export class TemplateManager {
             widthRel: 0,
             heightRel: 0,
             rightRel: 0,
-            bottomRel: 0
+            bottomRel: 0,
+            storageLeft: 0,
+            storageTop: 0,
+            storageWidth: 0,
+            storageHeight: 0,
+            storageRight: 0,
+            storageBottom: 0
         };
         
         // Initialize
@@ -115,6 +122,7 @@ export class TemplateManager {
             const templateOutput = this.applyTemplate(this.urlTemplate.content);
             const templateItem = document.createElement('div');
             templateItem.className = 'template-item';
+            templateItem.dataset.name = this.urlTemplate.name;
             templateItem.style.border = '2px solid var(--primary-color)';
             templateItem.style.background = 'var(--light-bg)';
 
@@ -137,6 +145,7 @@ export class TemplateManager {
             const copyButton = document.createElement('button');
             copyButton.className = 'copy-btn';
             copyButton.setAttribute('data-output', encodeURIComponent(templateOutput));
+            copyButton.setAttribute('data-name', this.urlTemplate.name);
             copyButton.textContent = 'Copy';
             templateOutputRow.appendChild(copyButton);
             templateItem.appendChild(templateOutputRow);
@@ -156,6 +165,7 @@ export class TemplateManager {
 
             const templateItem = document.createElement('div');
             templateItem.className = 'template-item';
+            templateItem.dataset.name = template.name;
 
             // Create header
             const templateHeader = document.createElement('div');
@@ -202,6 +212,7 @@ export class TemplateManager {
             const copyButton = document.createElement('button');
             copyButton.className = 'copy-btn';
             copyButton.setAttribute('data-output', encodeURIComponent(templateOutput));
+            copyButton.setAttribute('data-name', template.name);
             copyButton.textContent = 'Copy';
             templateOutputRow.appendChild(copyButton);
 
@@ -209,9 +220,33 @@ export class TemplateManager {
             templatesListDiv.appendChild(templateItem);
         });
 
+        this._markActiveTemplate();
+
         // Add event listeners for buttons
         this._addEventListeners();
     }
+
+    /**
+     * Mark a template as the one in use, e.g. when restoring a shared link
+     * @param {String|null} name - Template name, or null for none
+     */
+    setActiveTemplate(name) {
+        this.activeTemplateName = name || null;
+        this._markActiveTemplate();
+    }
+
+    /**
+     * Highlight the template in use in the container
+     * @private
+     */
+    _markActiveTemplate() {
+        const templatesListDiv = this.options.templateListContainer;
+        if (!templatesListDiv) return;
+
+        templatesListDiv.querySelectorAll('.template-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.name === this.activeTemplateName);
+        });
+    }
     
     /**
      * Add event listeners to template list items
@@ -282,11 +317,13 @@ export class TemplateManager {
     _handleCopyClick(event) {
         // Decode the URI component to get back the original string
         const output = decodeURIComponent(event.currentTarget.getAttribute('data-output'));
+        const name = event.currentTarget.getAttribute('data-name');
         this.copyToClipboard(output, event.currentTarget);
+        this.setActiveTemplate(name);
         
         // Call callback if provided
         if (typeof this.options.onTemplateApplied === 'function') {
-            this.options.onTemplateApplied(output);
+            this.options.onTemplateApplied(output, name);
         }
     }
     
@@ -377,7 +414,13 @@ export class TemplateManager {
             .replace(/\{widthRel\}/g, this.currentSelectionValues.widthRel)
             .replace(/\{heightRel\}/g, this.currentSelectionValues.heightRel)
             .replace(/\{rightRel\}/g, this.currentSelectionValues.rightRel)
-            .replace(/\{bottomRel\}/g, this.currentSelectionValues.bottomRel);
+            .replace(/\{bottomRel\}/g, this.currentSelectionValues.bottomRel)
+            .replace(/\{storageLeft\}/g, this.currentSelectionValues.storageLeft)
+            .replace(/\{storageTop\}/g, this.currentSelectionValues.storageTop)
+            .replace(/\{storageWidth\}/g, this.currentSelectionValues.storageWidth)
+            .replace(/\{storageHeight\}/g, this.currentSelectionValues.storageHeight)
+            .replace(/\{storageRight\}/g, this.currentSelectionValues.storageRight)
+            .replace(/\{storageBottom\}/g, this.currentSelectionValues.storageBottom);
     }
     
     /**
@@ -424,6 +467,9 @@ export class TemplateManager {
             return;
         }
         
+        // Stored pixels of anamorphic or rotated video (same as absolute otherwise)
+        const storage = selectionData.storage || selectionData.absolute;
+        
         this.currentSelectionValues = {
             left: selectionData.absolute.left,
             top: selectionData.absolute.top,
@@ -436,7 +482,13 @@ export class TemplateManager {
             widthRel: selectionData.relative.width,
             heightRel: selectionData.relative.height,
             rightRel: selectionData.relative.right,
-            bottomRel: selectionData.relative.bottom
+            bottomRel: selectionData.relative.bottom,
+            storageLeft: storage.left,
+            storageTop: storage.top,
+            storageWidth: storage.width,
+            storageHeight: storage.height,
+            storageRight: storage.right,
+            storageBottom: storage.bottom
         };
         
         // Re-render templates with new values
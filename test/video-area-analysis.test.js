@@ -0,0 +1,173 @@
+/**
+ * Checks of the DOM-free pixel analysis, run with `npm test` (node --test)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    findContentRect, stableContentRect, toLuma, cropLuma, matchBlock, frameDifference, findSceneCut
+} from '../js/lib/video-area-analysis.js';
+
+/**
+ * Create a gray RGBA frame
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Function} valueAt - Gray value (0-255) of the pixel at (x, y)
+ * @returns {Object} - Frame {data, width, height}
+ */
+function createFrame(width, height, valueAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            data.fill(valueAt(x, y), index, index + 3);
+            data[index + 3] = 255;
+        }
+    }
+    return { data: data, width: width, height: height };
+}
+
+/**
+ * Create a frame with black bars around a content rectangle
+ * @param {Object} rect - Content {left, top, width, height} in a 64×36 frame
+ * @param {Function} [barValueAt] - Gray value of the bar pixel at (x, y) (default: black)
+ * @returns {Object} - Frame {data, width, height}
+ */
+function createBarredFrame({left, top, width, height}, barValueAt = () => 0) {
+    return createFrame(64, 36, (x, y) => {
+        const inside = x >= left && x < left + width && y >= top && y < top + height;
+        return inside ? 128 : barValueAt(x, y);
+    });
+}
+
+test('findContentRect finds letterbox bars', () => {
+    const content = { left: 0, top: 5, width: 64, height: 26 };
+    assert.deepEqual(findContentRect(createBarredFrame(content)), content);
+});
+
+test('findContentRect finds pillarbox bars', () => {
+    const content = { left: 8, top: 0, width: 48, height: 36 };
+    assert.deepEqual(findContentRect(createBarredFrame(content)), content);
+});
+
+test('findContentRect treats noise below the threshold as black', () => {
+    // Bars with pixels up to 32, averaging about 16 per row and column
+    const content = { left: 4, top: 3, width: 56, height: 30 };
+    const noisy = createBarredFrame(content, (x, y) => (x * 7 + y * 13) % 33);
+    assert.deepEqual(findContentRect(noisy), content);
+
+    // Bars brighter than the threshold are content
+    const everything = { left: 0, top: 0, width: 64, height: 36 };
+    assert.deepEqual(findContentRect(noisy, 10), everything);
+    assert.deepEqual(findContentRect(createBarredFrame(content, () => 30)), everything);
+});
+
+test('findContentRect returns null for a black frame', () => {
+    assert.equal(findContentRect(createFrame(16, 9, () => 10)), null);
+});
+
+test('stableContentRect takes the median of each edge and skips black frames', () => {
+    const rects = [
+        { left: 0, top: 5, width: 64, height: 26 },
+        { left: 0, top: 8, width: 64, height: 20 }, // A dark scene
+        { left: 0, top: 5, width: 64, height: 26 },
+        null
+    ];
+    assert.deepEqual(stableContentRect(rects), { left: 0, top: 5, width: 64, height: 26 });
+    assert.equal(stableContentRect([null]), null);
+});
+
+/**
+ * Gray value of a texture without repeating patterns, so blocks match in one place only
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} - Gray value (0-255)
+ */
+function texture(x, y) {
+    return (((x * 73856093) ^ (y * 19349663)) >>> 0) % 256;
+}
+
+test('matchBlock finds a shifted block', () => {
+    const before = toLuma(createFrame(64, 48, texture));
+    const after = toLuma(createFrame(64, 48, (x, y) => texture(x - 3, y + 2)));
+    const block = cropLuma(before, { left: 20, top: 15, width: 12, height: 10 });
+
+    assert.deepEqual(matchBlock(block, after, { x: 20, y: 15 }, 5), { x: 23, y: 13, difference: 0 });
+});
+
+test('matchBlock only searches within the radius', () => {
+    const before = toLuma(createFrame(64, 48, texture));
+    const after = toLuma(createFrame(64, 48, (x, y) => texture(x - 6, y)));
+    const block = cropLuma(before, { left: 20, top: 15, width: 12, height: 10 });
+
+    const match = matchBlock(block, after, { x: 20, y: 15 }, 3);
+    assert.ok(Math.abs(match.x - 20) <= 3 && Math.abs(match.y - 15) <= 3);
+    assert.ok(match.difference > 0);
+});
+
+test('matchBlock keeps the block inside the image', () => {
+    const image = toLuma(createFrame(64, 48, texture));
+    const block = cropLuma(image, { left: 52, top: 38, width: 12, height: 10 });
+
+    // Positions past the edges aren't searched, so the block is found in the corner
+    assert.deepEqual(matchBlock(block, image, { x: 60, y: 45 }, 10), { x: 52, y: 38, difference: 0 });
+    assert.equal(matchBlock(toLuma(createFrame(80, 10, texture)), image, { x: 0, y: 0 }, 5), null);
+});
+
+test('matchBlock prefers the expected position among equal matches', () => {
+    const flat = toLuma(createFrame(64, 48, () => 100));
+    const block = cropLuma(flat, { left: 0, top: 0, width: 8, height: 8 });
+
+    assert.deepEqual(matchBlock(block, flat, { x: 20, y: 15 }, 4), { x: 20, y: 15, difference: 0 });
+});
+
+/**
+ * Create the luma image of a frame of a synthetic video: a textured shot that turns
+ * into its negative at a cut, with a little noise that changes every frame
+ * @param {number} frame - Frame number
+ * @param {number|null} cutFrame - First frame of the second shot, or null without a cut
+ * @returns {Object} - Luma image {data, width, height}
+ */
+function createShotFrame(frame, cutFrame) {
+    const secondShot = cutFrame !== null && frame >= cutFrame;
+    return toLuma(createFrame(32, 18, (x, y) => {
+        const value = secondShot ? 255 - texture(x, y) : texture(x, y);
+        return value + (texture(x + frame, y) % 7) - 3;
+    }));
+}
+
+test('frameDifference tells noise from a hard cut', () => {
+    const frame = createShotFrame(0, null);
+    assert.equal(frameDifference(frame, frame), 0);
+
+    const noisy = frameDifference(frame, createShotFrame(1, null));
+    assert.ok(noisy > 0 && noisy < 0.05, `noise scored ${noisy}`);
+
+    const cut = frameDifference(frame, createShotFrame(1, 1));
+    assert.ok(cut > 0.3 && cut <= 1, `cut scored ${cut}`);
+
+    assert.throws(() => frameDifference(frame, toLuma(createFrame(16, 9, texture))), /different sizes/);
+});
+
+test('findSceneCut narrows a cut down to its first frame', async () => {
+    const read = [];
+    const readFrame = async frame => {
+        read.push(frame);
+        return createShotFrame(frame, 7);
+    };
+
+    const cut = await findSceneCut(readFrame, 0, 12, 0.3);
+    assert.equal(cut.frame, 7);
+    assert.ok(cut.score > 0.3);
+
+    // Bisection reads a few frames, not all of them
+    assert.ok(new Set(read).size < 8);
+});
+
+test('findSceneCut ignores noise and gradual changes', async () => {
+    assert.equal(await findSceneCut(async frame => createShotFrame(frame, null), 0, 12, 0.3), null);
+
+    // A fade: the ends differ, but no two neighboring frames do
+    const fade = async frame => toLuma(createFrame(32, 18, (x, y) => texture(x, y) * (1 - frame / 12)));
+    assert.ok(frameDifference(await fade(0), await fade(12)) > 0.3);
+    assert.equal(await findSceneCut(fade, 0, 12, 0.3), null);
+});
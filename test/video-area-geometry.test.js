@@ -0,0 +1,109 @@
+/**
+ * Checks of the DOM-free geometry core, run with `npm test` (node --test)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseAspectRatio, getAspectRatioUnitStep, constrainSelection, validateSelection,
+    parseVideoTransform, getStorageSize, toStorage,
+    getContentLayout, displayToSource, sourceToDisplay, fitToOutput
+} from '../js/lib/video-area-geometry.js';
+
+const FULL_HD = { videoWidth: 1920, videoHeight: 1080 };
+const SELECTION = { left: 100, top: 200, width: 300, height: 400 };
+
+test('parseAspectRatio reduces ratios to whole units', () => {
+    assert.deepEqual(parseAspectRatio('16:9'), { width: 16, height: 9 });
+    assert.deepEqual(parseAspectRatio('1920/1080'), { width: 16, height: 9 });
+    assert.deepEqual(parseAspectRatio(1.85), { width: 37, height: 20 });
+    assert.deepEqual(parseAspectRatio({ width: 8, height: 6 }), { width: 4, height: 3 });
+    assert.equal(parseAspectRatio(null), null);
+    assert.throws(() => parseAspectRatio('0:9'), /invalid aspect ratio/);
+});
+
+test('constrainSelection shrinks to the locked aspect ratio around the center', () => {
+    const violations = [];
+    const selection = constrainSelection(
+        { ...FULL_HD, aspectRatio: '16:9' },
+        { left: 100, top: 100, width: 500, height: 500 },
+        violations
+    );
+    assert.deepEqual(selection, { left: 102, top: 211, width: 496, height: 279 });
+    assert.deepEqual(violations, []);
+});
+
+test('aspect ratios are snapped in steps that keep both sides multiples of snapTo', () => {
+    const constraints = { ...FULL_HD, aspectRatio: '16:9', snapTo: 2 };
+    assert.equal(getAspectRatioUnitStep(constraints), 2);
+    assert.deepEqual(
+        constrainSelection(constraints, { left: 0, top: 0, width: 101, height: 57 }),
+        { left: 3, top: 2, width: 96, height: 54 }
+    );
+});
+
+test('constrainSelection moves a selection back inside the video', () => {
+    assert.deepEqual(
+        constrainSelection(FULL_HD, { left: 1800, top: 1000, width: 300, height: 200 }),
+        { left: 1620, top: 880, width: 300, height: 200 }
+    );
+});
+
+test('validateSelection reports selections off the aspect ratio', () => {
+    const constraints = { ...FULL_HD, aspectRatio: '16:9' };
+    assert.equal(validateSelection(constraints, { left: 0, top: 0, width: 1600, height: 900 }).valid, true);
+    assert.equal(validateSelection(constraints, { left: 0, top: 0, width: 1000, height: 900 }).valid, false);
+});
+
+test('parseVideoTransform normalizes rotations and rejects invalid transforms', () => {
+    assert.deepEqual(
+        parseVideoTransform({ rotation: -90, sampleAspectRatio: '1:1' }),
+        { sampleAspectRatio: null, rotation: 270, flip: null }
+    );
+    assert.throws(() => parseVideoTransform({ rotation: 45 }), /invalid rotation/);
+    assert.throws(() => parseVideoTransform({ flip: 'diagonal' }), /invalid flip/);
+});
+
+test('getStorageSize undoes rotation and non-square samples', () => {
+    assert.deepEqual(getStorageSize(1080, 1920, { rotation: 90 }), { storageWidth: 1920, storageHeight: 1080 });
+    assert.deepEqual(getStorageSize(1024, 576, { sampleAspectRatio: '16:11' }), { storageWidth: 704, storageHeight: 576 });
+});
+
+test('toStorage maps selections through rotation and flips', () => {
+    const cases = [
+        [{}, { left: 100, top: 200, width: 300, height: 400, right: 1520, bottom: 480 }],
+        [{ rotation: 90 }, { left: 200, top: 1520, width: 400, height: 300, right: 480, bottom: 100 }],
+        [{ rotation: 180 }, { left: 1520, top: 480, width: 300, height: 400, right: 100, bottom: 200 }],
+        [{ rotation: 270 }, { left: 480, top: 100, width: 400, height: 300, right: 200, bottom: 1520 }],
+        [{ flip: 'horizontal' }, { left: 1520, top: 200, width: 300, height: 400, right: 100, bottom: 480 }],
+        [{ flip: 'vertical' }, { left: 100, top: 480, width: 300, height: 400, right: 1520, bottom: 200 }]
+    ];
+    for (const [transform, expected] of cases) {
+        assert.deepEqual(toStorage(SELECTION, 1920, 1080, transform), expected, JSON.stringify(transform));
+    }
+});
+
+test('toStorage scales widths by the sample aspect ratio', () => {
+    assert.deepEqual(
+        toStorage(SELECTION, 1920, 1080, { sampleAspectRatio: '16:11' }),
+        { left: 69, top: 200, width: 206, height: 400, right: 1045, bottom: 480 }
+    );
+});
+
+test('display and source coordinates map through the letterboxed layout', () => {
+    const layout = getContentLayout({ box: { left: 0, top: 0, width: 640, height: 480 }, ...FULL_HD });
+    assert.deepEqual(layout.content, { left: 0, top: 60, width: 640, height: 360 });
+    assert.deepEqual(displayToSource({ x: 320, y: 240 }, layout, 1920, 1080), { x: 960, y: 540 });
+    assert.deepEqual(displayToSource({ x: 0, y: 0 }, layout, 1920, 1080), { x: 0, y: 0 });
+    assert.deepEqual(
+        sourceToDisplay({ left: 0, top: 0, width: 1920, height: 1080 }, layout),
+        { left: 0, top: 60, width: 640, height: 360 }
+    );
+});
+
+test('fitToOutput letterboxes, crops or stretches', () => {
+    const selection = { width: 400, height: 300 };
+    const output = { width: 1280, height: 720 };
+    assert.deepEqual(fitToOutput(selection, output, 'contain'), { left: 160, top: 0, width: 960, height: 720 });
+    assert.deepEqual(fitToOutput(selection, output, 'cover'), { left: 0, top: -120, width: 1280, height: 960 });
+    assert.deepEqual(fitToOutput(selection, output, 'fill'), { left: 0, top: 0, width: 1280, height: 720 });
+});